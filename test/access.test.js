@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+const { app, cleanup } = loadApp({
+  API_KEYS: 'alice:member:key-alice,bob:member:key-bob,vera:viewer:key-vera,root:admin:key-root'
+});
+
+afterAll(cleanup);
+
+const as = (key) => ({ 'X-API-Key': key });
+
+describe('authentication', () => {
+  test('rejects requests without a key', async () => {
+    const res = await request(app).get('/api/projects');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  test('rejects unknown keys', async () => {
+    const res = await request(app).get('/api/projects').set(as('key-mallory'));
+    expect(res.status).toBe(401);
+  });
+
+  test('accepts a bearer token or an X-API-Key header', async () => {
+    expect((await request(app).get('/api/projects').set('Authorization', 'Bearer key-alice')).status).toBe(200);
+    expect((await request(app).get('/api/projects').set(as('key-alice'))).status).toBe(200);
+  });
+
+  test('leaves the health check open', async () => {
+    expect((await request(app).get('/health')).status).toBe(200);
+  });
+
+  test('ignores ?api_key= outside job event streams', async () => {
+    const res = await request(app).get('/api/projects?api_key=key-alice');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('project access', () => {
+  let projectId;
+
+  beforeAll(async () => {
+    projectId = await importProject(app, undefined, as('key-alice'));
+  });
+
+  afterEach(async () => {
+    await request(app).put(`/api/project/${projectId}/access`).set(as('key-alice')).send({ shares: [] });
+  });
+
+  const share = (name, access) =>
+    request(app).put(`/api/project/${projectId}/access`).set(as('key-alice')).send({ shares: [{ name, access }] });
+  const readFile = (key) => request(app).get(`/api/project/${projectId}/file/index.js`).set(as(key));
+  const writeFile = (key) => request(app).put(`/api/project/${projectId}/file/index.js`).set(as(key)).send({ content: 'changed' });
+
+  test('hides projects from keys they are not shared with', async () => {
+    expect((await readFile('key-bob')).status).toBe(404);
+    expect((await writeFile('key-bob')).status).toBe(404);
+    expect((await request(app).get(`/api/project/${projectId}`).set(as('key-bob'))).status).toBe(404);
+
+    const list = await request(app).get('/api/projects').set(as('key-bob'));
+    expect(list.body.projects.map(project => project.id)).not.toContain(projectId);
+  });
+
+  test('lets the owner and admins read and write', async () => {
+    expect((await readFile('key-alice')).status).toBe(200);
+    expect((await readFile('key-root')).status).toBe(200);
+    expect((await writeFile('key-root')).status).toBe(200);
+  });
+
+  test('read shares can read but not write', async () => {
+    expect((await share('bob', 'read')).status).toBe(200);
+
+    expect((await readFile('key-bob')).status).toBe(200);
+    const write = await writeFile('key-bob');
+    expect(write.status).toBe(403);
+    expect(write.body.error).toBe('Read-only access to this project');
+  });
+
+  test('write shares can write but not change access', async () => {
+    expect((await share('bob', 'write')).status).toBe(200);
+
+    expect((await writeFile('key-bob')).status).toBe(200);
+    const access = await request(app).put(`/api/project/${projectId}/access`).set(as('key-bob')).send({ shares: [] });
+    expect(access.status).toBe(403);
+  });
+
+  test('viewers get read access at most', async () => {
+    expect((await share('vera', 'write')).status).toBe(200);
+
+    expect((await readFile('key-vera')).status).toBe(200);
+    expect((await writeFile('key-vera')).status).toBe(403);
+  });
+
+  test('viewers cannot create projects', async () => {
+    const res = await request(app).post('/api/generate').set(as('key-vera')).send({ prompt: 'A todo API' });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects malformed project ids', async () => {
+    expect((await request(app).get('/api/project/not-a-uuid').set(as('key-alice'))).status).toBe(400);
+  });
+});
+
+describe('job access', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    const res = await request(app).post('/api/generate').set(as('key-alice')).send({ prompt: 'A todo API' });
+    expect(res.status).toBe(202);
+    jobId = res.body.jobId;
+  });
+
+  test('hides jobs from other keys', async () => {
+    expect((await request(app).get(`/api/jobs/${jobId}`).set(as('key-bob'))).status).toBe(404);
+    expect((await request(app).get(`/api/jobs/${jobId}`).set(as('key-alice'))).status).toBe(200);
+    expect((await request(app).get(`/api/jobs/${jobId}`).set(as('key-root'))).status).toBe(200);
+  });
+
+  test('accepts ?api_key= on the job event stream', async () => {
+    expect((await request(app).get(`/api/jobs/${jobId}/events?api_key=key-bob`)).status).toBe(404);
+
+    // The stream ends once the job finishes
+    const res = await request(app).get(`/api/jobs/${jobId}/events?api_key=key-alice`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.text).toMatch(/"status":"completed"/);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const YAML = require('yaml');
+const { loadApp, importProject, waitForJob, download, zipEntries } = require('./helpers');
+
+const { app, cleanup } = loadApp();
+
+afterAll(cleanup);
+
+let projectId;
+
+beforeAll(async () => {
+  projectId = await importProject(app, {
+    'package.json': JSON.stringify({ name: 'users-api', dependencies: { express: '^4.18.2' } }),
+    'src/app.js': [
+      'const express = require("express");',
+      'const app = express();',
+      'app.get("/users/:id", (req, res) => {',
+      '  const { fields } = req.query;',
+      '  res.json({ id: req.params.id, fields });',
+      '});',
+      'app.post("/users", (req, res) => {',
+      '  const { name, email } = req.body;',
+      '  res.status(201).json({ name, email });',
+      '});',
+      'module.exports = app;',
+      ''
+    ].join('\n')
+  });
+});
+
+test('builds an OpenAPI document from the route files', async () => {
+  const res = await request(app).get(`/api/project/${projectId}/openapi`);
+
+  expect(res.status).toBe(200);
+  expect(res.body.openapi).toBe('3.1.0');
+  expect(Object.keys(res.body.paths).sort()).toEqual(['/users', '/users/{id}']);
+
+  const getUser = res.body.paths['/users/{id}'].get;
+  expect(getUser.parameters).toEqual([
+    expect.objectContaining({ name: 'id', in: 'path', required: true }),
+    expect.objectContaining({ name: 'fields', in: 'query', required: false })
+  ]);
+
+  const createUser = res.body.paths['/users'].post;
+  expect(Object.keys(createUser.requestBody.content['application/json'].schema.properties)).toEqual(['name', 'email']);
+  expect(Object.keys(createUser.responses)).toEqual(['201']);
+});
+
+test('serves the OpenAPI document as YAML', async () => {
+  const res = await request(app).get(`/api/project/${projectId}/openapi?format=yaml`);
+
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/application\/yaml/);
+  expect(YAML.parse(res.text).paths['/users/{id}'].get.operationId).toBe('getUsersById');
+});
+
+test('builds a Postman collection with a baseUrl variable', async () => {
+  const res = await request(app).get(`/api/project/${projectId}/postman`);
+
+  expect(res.status).toBe(200);
+  expect(res.body.variable).toEqual([{ key: 'baseUrl', value: 'http://localhost:3000' }]);
+  const requests = res.body.item.flatMap(folder => folder.item);
+  expect(requests.map(item => item.name).sort()).toEqual(['GET /users/{id}', 'POST /users']);
+  expect(requests.find(item => item.name === 'POST /users').request.url.raw).toBe('{{baseUrl}}/users');
+});
+
+test('ships both documents in the project and refreshes them on every change', async () => {
+  const before = await request(app).get(`/api/project/${projectId}/file/docs/openapi.json`);
+  expect(before.status).toBe(200);
+  expect(JSON.parse(before.body.content).paths['/health']).toBeUndefined();
+
+  const routes = await request(app).get(`/api/project/${projectId}/file/src/app.js`);
+  const edit = await request(app)
+    .put(`/api/project/${projectId}/file/src/app.js`)
+    .send({ content: routes.body.content.replace('module.exports', 'app.get("/health", (req, res) => res.json({ ok: true }));\nmodule.exports') });
+  expect(edit.status).toBe(200);
+
+  const after = await request(app).get(`/api/project/${projectId}/file/docs/openapi.json`);
+  expect(JSON.parse(after.body.content).paths['/health'].get).toBeDefined();
+});
+
+test.each(['docs/openapi.json', 'docs/postman_collection.json'])('rejects direct edits of %s', async (filePath) => {
+  const res = await request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content: '{}' });
+
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch(/maintained by the server/);
+});
+
+describe('for a generated project', () => {
+  let generated;
+
+  beforeAll(async () => {
+    const started = await request(app).post('/api/generate').send({ prompt: 'An items API' });
+    generated = (await waitForJob(app, started.body.jobId)).result.projectId;
+  });
+
+  test('documents the metadata endpoints, found behind the prefix their router is mounted at', async () => {
+    const res = await request(app).get(`/api/project/${generated}/openapi`);
+
+    expect(res.body.info).toEqual({ title: 'an-items-api', description: 'Mock project for: An items API', version: '1.0.0' });
+    expect(res.body.servers).toEqual([{ url: 'http://localhost:3000' }]);
+    expect(res.body.tags).toEqual([{ name: 'items' }]);
+    expect(Object.keys(res.body.paths)).toEqual(['/api/items']);
+    expect(res.body.paths['/api/items'].get).toMatchObject({
+      operationId: 'getApiItems',
+      summary: 'List items',
+      responses: { 200: { description: 'Array of items' } },
+      'x-source': 'src/routes/items.js:6'
+    });
+    expect(res.body.paths['/api/items'].post).toMatchObject({
+      summary: 'Create an item',
+      responses: { 201: { description: 'The created item' } },
+      'x-source': 'src/routes/items.js:10'
+    });
+  });
+
+  test('ships both documents in the download', async () => {
+    const res = await download(app, `/api/download/${generated}`);
+
+    expect(res.status).toBe(200);
+    expect(zipEntries(res.body)).toEqual(expect.arrayContaining(['docs/openapi.json', 'docs/postman_collection.json']));
+  });
+});
+
+test('answers 404 for unknown projects', async () => {
+  expect((await request(app).get('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/openapi')).status).toBe(404);
+  expect((await request(app).get('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/postman')).status).toBe(404);
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+const { app, cleanup } = loadApp();
+
+afterAll(cleanup);
+
+const express = { 'package.json': JSON.stringify({ dependencies: { express: '^4.18.2', pg: '^8.11.0' } }) };
+const flask = { 'requirements.txt': 'flask==3.0.0\n' };
+const projects = {};
+
+beforeAll(async () => {
+  for (const [name, files, description] of [
+    ['alpha', express, 'Inventory service'],
+    ['bravo', flask, 'Billing service'],
+    ['charlie', express, 'Inventory reports'],
+    ['delta', flask, 'Shipping tracker'],
+    ['echo', express, 'Billing gateway']
+  ]) {
+    projects[name] = await importProject(app, files, {}, { name, description });
+  }
+});
+
+const list = (query = {}) => request(app).get('/api/projects').query(query);
+
+test('pages through every project with a cursor', async () => {
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const res = await list({ limit: 2, ...(cursor && { cursor }) });
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(5);
+    seen.push(...res.body.projects.map(project => project.name));
+    cursor = res.body.nextCursor;
+    pages++;
+  } while (cursor);
+
+  expect(pages).toBe(3);
+  expect(seen).toEqual(['echo', 'delta', 'charlie', 'bravo', 'alpha']);
+});
+
+test('sorts by name in either order', async () => {
+  expect((await list({ sort: 'name', order: 'asc' })).body.projects.map(project => project.name))
+    .toEqual(['alpha', 'bravo', 'charlie', 'delta', 'echo']);
+  expect((await list({ sort: 'name', order: 'desc', limit: 1 })).body.projects[0].name).toBe('echo');
+});
+
+test('filters by metadata fields and search words', async () => {
+  const python = await list({ technology: 'python', sort: 'name', order: 'asc' });
+  expect(python.body.projects.map(project => project.name)).toEqual(['bravo', 'delta']);
+  expect(python.body.projects[0]).toMatchObject({ technology: 'Python', framework: 'Flask' });
+
+  const postgres = await list({ framework: 'Express', database: 'PostgreSQL' });
+  expect(postgres.body.total).toBe(3);
+
+  const billing = await list({ q: 'billing', sort: 'name', order: 'asc' });
+  expect(billing.body.projects.map(project => project.name)).toEqual(['bravo', 'echo']);
+  expect((await list({ q: 'billing inventory' })).body.total).toBe(0);
+});
+
+test('filters by generation date', async () => {
+  const { body } = await list({ sort: 'generated', order: 'asc' });
+  const third = body.projects[2].generated;
+
+  const from = await list({ from: third, sort: 'name', order: 'asc' });
+  expect(from.body.projects.map(project => project.name)).toEqual(['charlie', 'delta', 'echo']);
+  expect((await list({ to: '2000-01-01' })).body.total).toBe(0);
+});
+
+test('sorts by the time of the last change, and keeps it across a reindex', async () => {
+  const edit = await request(app)
+    .put(`/api/project/${projects.alpha}/file/index.js`)
+    .send({ content: 'console.log("changed");\n' });
+  expect(edit.status).toBe(200);
+
+  const [latest] = (await list({ sort: 'updated', limit: 1 })).body.projects;
+  expect(latest.name).toBe('alpha');
+  expect(latest.updated > latest.generated).toBe(true);
+
+  const reindex = await request(app).post('/api/projects/reindex');
+  expect(reindex.status).toBe(200);
+  expect((await list({ sort: 'updated', limit: 1 })).body.projects[0]).toMatchObject({ name: 'alpha', updated: latest.updated });
+});
+
+test('rejects unknown sort fields, orders and cursors', async () => {
+  expect((await list({ sort: 'size' })).status).toBe(400);
+  expect((await list({ order: 'up' })).status).toBe(400);
+  expect((await list({ cursor: 'not-a-cursor' })).status).toBe(400);
+  expect((await list({ from: 'yesterday' })).status).toBe(400);
+});
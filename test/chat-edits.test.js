@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+const { app, projectsDir, cleanup } = loadApp({ STORAGE_BACKEND: 'fs' });
+const { FileSystemStorage } = app;
+
+afterAll(cleanup);
+afterEach(() => jest.restoreAllMocks());
+
+// Not valid UTF-8, so a text round trip would change it
+const BINARY_NOTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80, 0x0a]);
+
+async function proposeEdits(projectId, message) {
+  const res = await request(app).post('/api/chat').send({ message, mode: 'edit', projectId });
+  expect(res.status).toBe(200);
+  return res.body.proposal;
+}
+
+const apply = (projectId, proposal) => request(app).post(`/api/project/${projectId}/proposals/${proposal.id}/apply`);
+const storedFile = (projectId, filePath) => fs.readFileSync(path.join(projectsDir, projectId, filePath));
+
+test('applies every change of a chat proposal in one revision', async () => {
+  const projectId = await importProject(app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' });
+  const proposal = await proposeEdits(projectId, 'Document the app');
+  expect(proposal.changes.map(change => change.path)).toContain('docs/notes.md');
+
+  const res = await apply(projectId, proposal);
+  expect(res.status).toBe(200);
+  expect(res.body.changes.map(change => change.path)).toEqual(proposal.changes.map(change => change.path));
+  for (const change of res.body.changes) {
+    expect(crypto.createHash('sha256').update(storedFile(projectId, change.path)).digest('hex')).toBe(change.hash);
+  }
+
+  const history = await request(app).get(`/api/project/${projectId}/history?limit=1`);
+  expect(history.body.history[0].revision).toBe(res.body.revision);
+});
+
+test('puts back every file byte for byte when a later write fails', async () => {
+  const projectId = await importProject(app, {
+    'package.json': '{}',
+    'src/app.js': 'module.exports = {};\n',
+    'docs/notes.md': BINARY_NOTES
+  });
+  const proposal = await proposeEdits(projectId, 'Document the app');
+  const [notes, failing] = proposal.changes;
+  expect(notes).toMatchObject({ action: 'modify', path: 'docs/notes.md' });
+  expect(failing).toBeDefined();
+  const before = storedFile(projectId, failing.path);
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const write = FileSystemStorage.prototype.write;
+  jest.spyOn(FileSystemStorage.prototype, 'write').mockImplementation(function (key, data) {
+    if (key.endsWith(`/${failing.path}`)) {
+      return Promise.reject(new Error('Disk full'));
+    }
+    return write.call(this, key, data);
+  });
+
+  const res = await apply(projectId, proposal);
+  expect(res.status).toBe(500);
+  expect(storedFile(projectId, 'docs/notes.md').equals(BINARY_NOTES)).toBe(true);
+  expect(storedFile(projectId, failing.path).equals(before)).toBe(true);
+});
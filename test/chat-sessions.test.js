@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { loadApp, importProject, startFakeLLM } = require('./helpers');
+
+// Small budgets so a few turns are enough to summarise the older ones
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'assistant',
+    API_KEYS: 'alice:member:key-alice,bob:member:key-bob',
+    CHAT_CONTEXT_TOKENS: '30',
+    CHAT_RECENT_MESSAGES: '2'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => {
+  backend.requests.length = 0;
+  backend.reply = ({ body }) => isSummary(body)
+    ? { content: 'They are building an orders API.' }
+    : { content: `Answer to: ${body.messages.at(-1).content}` };
+});
+
+const as = (key) => ({ 'X-API-Key': key });
+const isSummary = (body) => body.messages[0].content.startsWith('You summarise conversations');
+
+async function startSession(title) {
+  const projectId = await importProject(app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' }, as('key-alice'));
+  const res = await request(app).post('/api/chats').set(as('key-alice')).send({ projectId, title });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+const say = (sessionId, message) => request(app).post('/api/chat').set(as('key-alice')).send({ message, sessionId });
+
+test('keeps the conversation of a session on the server', async () => {
+  const session = await startSession();
+  expect(session).toMatchObject({ owner: 'alice', title: null, summary: null, messageCount: 0, exportUrl: `/api/chats/${session.id}/export` });
+
+  expect((await say(session.id, 'How do I add orders?')).body).toMatchObject({ sessionId: session.id, messageCount: 2, summarized: false });
+  const second = await say(session.id, 'And validate them?');
+  expect(second.body).toMatchObject({ response: 'Answer to: And validate them?', messageCount: 4 });
+
+  // The client only sends the new message; earlier turns come from the session
+  const prompt = backend.requests.at(-1).body.messages;
+  expect(prompt.slice(1).map(({ role, content }) => `${role}: ${content}`)).toEqual([
+    'user: How do I add orders?',
+    'assistant: Answer to: How do I add orders?',
+    'user: And validate them?'
+  ]);
+
+  const stored = await request(app).get(`/api/chats/${session.id}`).set(as('key-alice'));
+  expect(stored.body.title).toBe('How do I add orders?');
+  expect(stored.body.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+  expect(stored.body.messages[3]).toMatchObject({ content: 'Answer to: And validate them?', usage: { calls: 1, promptTokens: 10, completionTokens: 5, totalTokens: 15 } });
+
+  const listed = await request(app).get('/api/chats').query({ projectId: session.projectId }).set(as('key-alice'));
+  expect(listed.body).toMatchObject({ total: 1, sessions: [{ id: session.id, messageCount: 4 }] });
+  expect(listed.body.sessions[0].messages).toBeUndefined();
+
+  // Sessions belong to whoever started them
+  expect((await request(app).get('/api/chats').set(as('key-bob'))).body.total).toBe(0);
+  expect((await request(app).get(`/api/chats/${session.id}`).set(as('key-bob'))).status).toBe(404);
+  expect((await request(app).post('/api/chat').set(as('key-bob')).send({ message: 'Hi', sessionId: session.id })).status).toBe(404);
+});
+
+test('summarises older turns once they outgrow CHAT_CONTEXT_TOKENS', async () => {
+  const session = await startSession();
+  await say(session.id, 'We need an orders resource with a status field.');
+  await say(session.id, 'Orders should belong to a customer record too.');
+
+  const third = await say(session.id, 'Which database indexes do we need for that?');
+  expect(third.body.summarized).toBe(true);
+
+  const [summaryCall, chatCall] = backend.requests.slice(-2);
+  expect(isSummary(summaryCall.body)).toBe(true);
+  expect(summaryCall.body.messages[1].content).toBe([
+    'New conversation turns:',
+    'User: We need an orders resource with a status field.',
+    '',
+    'Assistant: Answer to: We need an orders resource with a status field.',
+    '',
+    'Updated summary:'
+  ].join('\n'));
+
+  // The summary stands in for the first turn; the recent ones are sent as they are
+  expect(chatCall.body.messages.slice(1).map(message => message.content)).toEqual([
+    'Summary of the earlier conversation:\nThey are building an orders API.',
+    'Orders should belong to a customer record too.',
+    'Answer to: Orders should belong to a customer record too.',
+    'Which database indexes do we need for that?'
+  ]);
+
+  const stored = (await request(app).get(`/api/chats/${session.id}`).set(as('key-alice'))).body;
+  expect(stored).toMatchObject({ summary: 'They are building an orders API.', summarizedCount: 2, messageCount: 6 });
+  expect(stored.messages).toHaveLength(6);
+});
+
+test('exports a session as markdown', async () => {
+  const session = await startSession('Orders: design notes');
+  await say(session.id, 'How do I add orders?');
+
+  const res = await request(app).get(`/api/chats/${session.id}/export`).set(as('key-alice'));
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/^text\/markdown/);
+  expect(res.headers['content-disposition']).toBe('attachment; filename="Orders-design-notes.md"');
+  expect(res.text).toMatch(/^# Orders: design notes\n\n- Project: .+ \([0-9a-f-]{36}\)\n- Owner: alice\n/);
+  expect(res.text).toMatch(/### User\n\n_.+_\n\nHow do I add orders\?\n/);
+  expect(res.text).toMatch(/### Assistant \(.+\)\n\n_.+_\n\nAnswer to: How do I add orders\?\n/);
+});
+
+test('deletes sessions, with their project or on request', async () => {
+  const session = await startSession();
+  const removed = await request(app).delete(`/api/chats/${session.id}`).set(as('key-alice'));
+  expect(removed.body).toEqual({ success: true, message: 'Chat session deleted' });
+  expect((await request(app).get(`/api/chats/${session.id}`).set(as('key-alice'))).status).toBe(404);
+  expect((await say(session.id, 'Still there?')).status).toBe(404);
+
+  const other = await startSession();
+  await request(app).delete(`/api/project/${other.projectId}`).set(as('key-alice'));
+  expect((await request(app).get(`/api/chats/${other.id}`).set(as('key-alice'))).status).toBe(404);
+
+  expect((await request(app).post('/api/chats').set(as('key-alice')).send({ projectId: 'nope' })).status).toBe(400);
+  expect((await request(app).post('/api/chats').set(as('key-bob')).send({ projectId: session.projectId })).status).toBe(404);
+});
@@ -0,0 +1,131 @@
+const http = require('http');
+const request = require('supertest');
+const { loadApp, importProject, startFakeLLM } = require('./helpers');
+
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'assistant',
+    LLM_MAX_RETRIES: '0',
+    SSE_HEARTBEAT_MS: '20'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => {
+  backend.reply = () => ({ content: 'Use a router per resource.' });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Events of a server-sent event stream as { id, event, data }
+const events = (text) => [...text.matchAll(/^id: (\d+)\nevent: (.+)\ndata: (.+)$/gm)]
+  .map(([, id, event, data]) => ({ id: Number(id), event, data: JSON.parse(data) }));
+
+const stream = (fields) => request(app).post('/api/chat/stream').send(fields);
+
+test('streams typed events with increasing ids', async () => {
+  const projectId = await importProject(app, { 'package.json': '{}', 'src/routes/orders.js': 'module.exports = ordersRouter;\n' });
+
+  const res = await stream({ message: 'How should I split the orders router?', projectId });
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+  expect(res.headers['cache-control']).toBe('no-cache');
+
+  const received = events(res.text);
+  expect(received.map(({ id }) => id)).toEqual(received.map((_, index) => index + 1));
+  expect(received.map(({ event }) => event)).toEqual(['start', 'token', 'token', 'token', 'token', 'token', 'usage', 'done']);
+
+  const [start, ...rest] = received;
+  expect(start.data).toEqual({ provider: 'openai', model: 'assistant', citations: [expect.objectContaining({ path: 'src/routes/orders.js' })] });
+  expect(rest.filter(({ event }) => event === 'token').map(({ data }) => data.content).join('')).toBe('Use a router per resource.');
+  expect(rest.at(-2).data).toMatchObject({ calls: 1, promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  expect(rest.at(-1).data).toEqual({ finishReason: 'stop', modelUsed: 'openai:assistant' });
+});
+
+test('saves the streamed reply to the chat session', async () => {
+  const projectId = await importProject(app);
+  const session = (await request(app).post('/api/chats').send({ projectId })).body;
+
+  const done = events((await stream({ message: 'Hello', sessionId: session.id })).text).at(-1);
+  expect(done).toMatchObject({ event: 'done', data: { sessionId: session.id, messageCount: 2, summarized: false } });
+
+  const stored = await request(app).get(`/api/chats/${session.id}`);
+  expect(stored.body.messages.map(message => message.content)).toEqual(['Hello', 'Use a router per resource.']);
+});
+
+test('reports a failure once the stream has started as an error event', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  backend.reply = () => ({ status: 400, body: { error: 'context too long' } });
+
+  const res = await stream({ message: 'Hello' });
+  expect(res.status).toBe(200);
+  expect(events(res.text).map(({ event, data }) => [event, data.error])).toEqual([
+    ['start', undefined],
+    ['error', 'Failed to process stream chat message']
+  ]);
+
+  // Before the stream starts, errors are plain JSON responses
+  const invalid = await stream({});
+  expect(invalid.status).toBe(400);
+  expect(invalid.body).toEqual({ error: 'Message is required' });
+});
+
+test('sends heartbeats while the model is quiet', async () => {
+  backend.reply = async () => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return { content: 'Done thinking.' };
+  };
+
+  const res = await stream({ message: 'Hello' });
+  expect(res.text).toMatch(/^id: 1\nevent: start\n.+\n\n(: heartbeat\n\n)+id: 2\nevent: token\n/m);
+});
+
+test('cancels the upstream request when the client disconnects', async () => {
+  let upstreamClosed;
+  const cancelled = new Promise(resolve => {
+    upstreamClosed = resolve;
+  });
+  backend.reply = async ({ disconnected }) => {
+    await disconnected;
+    upstreamClosed();
+    return { content: 'Too late.' };
+  };
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    // Read the start event, then hang up
+    await new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path: '/api/chat/stream', method: 'POST', headers: { 'content-type': 'application/json' } }, (res) => {
+        res.once('data', () => {
+          req.destroy();
+          resolve();
+        });
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ message: 'Write me a long essay' }));
+    });
+
+    await cancelled;
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  // Not reported as a failed chat: the request was cancelled on purpose
+  await new Promise(resolve => setTimeout(resolve, 50));
+  expect(error).not.toHaveBeenCalledWith('Stream chat error:', expect.anything());
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const request = require('supertest');
+const { loadApp, importProject, download, zipEntries, tarEntries } = require('./helpers');
+
+const { app, projectsDir, cleanup } = loadApp({ STORAGE_BACKEND: 'fs' });
+
+afterAll(cleanup);
+
+let projectId;
+
+beforeAll(async () => {
+  projectId = await importProject(app, {
+    'package.json': '{ "name": "shop" }',
+    'src/app.js': 'module.exports = {};\n',
+    'src/routes/orders.js': 'module.exports = {};\n',
+    'src/routes/orders.test.js': 'test.todo("orders");\n',
+    'docs/notes.md': '# Notes\n'
+  }, {}, { name: 'shop' });
+});
+
+// The imported files plus the README and API docs written on import, sorted
+const PROJECT_FILES = [
+  'README.md',
+  'docs/notes.md',
+  'docs/openapi.json',
+  'docs/postman_collection.json',
+  'package.json',
+  'src/app.js',
+  'src/routes/orders.js',
+  'src/routes/orders.test.js'
+];
+
+const url = (query = '') => `/api/download/${projectId}${query}`;
+
+test('streams a zip of the project without writing an archive to disk', async () => {
+  const [first, second] = await Promise.all([download(app, url()), download(app, url())]);
+  expect(first.status).toBe(200);
+  expect(first.headers['content-type']).toBe('application/zip');
+  expect(first.headers['content-disposition']).toBe('attachment; filename="shop.zip"');
+  expect(zipEntries(first.body).sort()).toEqual([...PROJECT_FILES, 'project-metadata.json'].sort());
+  expect(zipEntries(second.body)).toEqual(zipEntries(first.body));
+
+  const archives = fs.readdirSync(projectsDir, { recursive: true }).filter(file => /\.(zip|tar\.gz|tgz)$/.test(file));
+  expect(archives).toEqual([]);
+});
+
+test('exports tar.gz filtered by include and exclude globs', async () => {
+  const res = await download(app, url('?format=tar.gz&include=src/**&exclude=*.test.js'));
+  expect(res.headers['content-type']).toBe('application/gzip');
+  expect(res.headers['content-disposition']).toBe('attachment; filename="shop.tar.gz"');
+  expect(tarEntries(res.body)).toEqual(['src/app.js', 'src/routes/orders.js']);
+
+  const tgz = await download(app, url('?format=tgz&include=*.md,package.json'));
+  expect(tgz.headers['content-disposition']).toBe('attachment; filename="shop.tgz"');
+  expect(tarEntries(tgz.body)).toEqual(['README.md', 'docs/notes.md', 'package.json']);
+});
+
+test('exports a single directory or file under its project path', async () => {
+  const directory = await download(app, url('?format=tgz&path=src/routes'));
+  expect(directory.headers['content-disposition']).toBe('attachment; filename="shop-src-routes.tgz"');
+  expect(tarEntries(directory.body)).toEqual(['src/routes/orders.js', 'src/routes/orders.test.js']);
+
+  const file = await download(app, url('?format=tgz&path=package.json'));
+  expect(tarEntries(file.body)).toEqual(['package.json']);
+});
+
+test('leaves server metadata, secrets, logs and backups out of clean exports', async () => {
+  for (const filePath of ['.env', 'server.log', 'src/app.js.bak', 'src/app.js~']) {
+    expect((await request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content: 'x\n' })).status).toBe(200);
+  }
+
+  const everything = tarEntries((await download(app, url('?format=tgz'))).body);
+  expect(everything).toEqual(expect.arrayContaining(['.env', 'server.log', 'src/app.js.bak', 'src/app.js~', 'project-metadata.json']));
+
+  const clean = tarEntries((await download(app, url('?format=tgz&clean=true'))).body);
+  expect(clean).toEqual(PROJECT_FILES);
+});
+
+test('answers 400 for unknown formats and paths outside the project, 404 when nothing matches', async () => {
+  const format = await request(app).get(url('?format=rar'));
+  expect(format.status).toBe(400);
+  expect(format.body.error).toBe('Format must be one of: zip, tar.gz, tgz');
+  expect((await request(app).get(url('?path=../other'))).status).toBe(400);
+
+  expect((await request(app).get(url('?path=lib'))).body).toEqual({ error: 'No files to download under lib' });
+  expect((await request(app).get(url('?include=*.py'))).body).toEqual({ error: 'No files match the download filters' });
+  expect((await request(app).get('/api/download/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b')).status).toBe(404);
+});
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { loadApp, waitForJob, startFakeLLM } = require('./helpers');
+
+// Projects are generated with the mock provider; features are planned by the
+// fake OpenAI-compatible backend, which answers with CHANGESET
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({ OPENAI_COMPAT_BASE_URL: backend.endpoint, OPENAI_COMPAT_MODELS: 'coder' }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const CHANGESET = {
+  summary: 'Orders resource with JWT auth',
+  changes: [
+    { action: 'create', path: 'src/routes/orders.js', content: "const express = require('express');\n\nconst router = express.Router();\n\nrouter.get('/', (req, res) => res.json([]));\n\nmodule.exports = router;\n" },
+    { action: 'modify', path: 'src/app.js', content: "const express = require('express');\nconst ordersRouter = require('./routes/orders');\n\nconst app = express();\napp.use('/api/orders', ordersRouter);\n\nmodule.exports = app;\n" },
+    { action: 'delete', path: 'src/routes/items.js' },
+    { action: 'modify', path: 'README.md', content: 'Hand-written\n' }
+  ],
+  apiEndpoints: [{ method: 'GET', path: '/api/orders', description: 'List orders' }],
+  removedEndpoints: [{ method: 'GET', path: '/api/items' }, { method: 'POST', path: '/api/items' }],
+  dependencies: { jsonwebtoken: '^9.0.2' },
+  environmentVariables: { JWT_SECRET: 'change_me' },
+  setupInstructions: ['Set JWT_SECRET']
+};
+
+async function generatedProject() {
+  const started = await request(app).post('/api/generate').send({ prompt: 'An items API' });
+  return (await waitForJob(app, started.body.jobId)).result.projectId;
+}
+
+async function addFeature(projectId, feature) {
+  const started = await request(app).post(`/api/project/${projectId}/features`).set('X-Author', 'alice').send({ feature, provider: 'openai' });
+  expect(started.status).toBe(202);
+  return waitForJob(app, started.body.jobId);
+}
+
+test('applies a feature changeset and updates the metadata and README', async () => {
+  const projectId = await generatedProject();
+  backend.reply = () => ({ content: JSON.stringify(CHANGESET) });
+
+  const job = await addFeature(projectId, 'Add JWT auth and an /orders resource');
+  expect(job.status).toBe('completed');
+  expect(job.result).toMatchObject({ summary: 'Orders resource with JWT auth', modelsUsed: ['openai:coder'] });
+  expect(job.result.changes.map(({ action, path }) => `${action} ${path}`)).toEqual([
+    'create src/routes/orders.js',
+    'modify src/app.js',
+    'delete src/routes/items.js'
+  ]);
+
+  // The model saw the file tree and the files that matter for the feature
+  const prompt = backend.requests.at(-1).body.messages.at(-1).content;
+  expect(prompt).toMatch(/^Project files:\n(.+\n)*src\/routes\/items\.js$/m);
+  expect(prompt).toContain('--- src/app.js ---');
+  expect(prompt).toMatch(/Feature request:\nAdd JWT auth and an \/orders resource$/);
+
+  const project = (await request(app).get(`/api/project/${projectId}`)).body;
+  expect(project.currentFileTree).toContain('src/routes/orders.js');
+  expect(project.currentFileTree).not.toContain('src/routes/items.js');
+  expect(project.apiEndpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`)).toEqual(['GET /api/orders']);
+  expect(project.dependencies).toEqual({ express: '^4.18.2', jsonwebtoken: '^9.0.2' });
+  expect(project.environmentVariables).toEqual({ PORT: '3000', JWT_SECRET: 'change_me' });
+  expect(project.setupInstructions.at(-1)).toBe('Set JWT_SECRET');
+
+  const readme = (await request(app).get(`/api/project/${projectId}/file/README.md`)).body.content;
+  expect(readme).toContain('### GET /api/orders\nList orders');
+  expect(readme).toContain('- jsonwebtoken: ^9.0.2');
+  expect(readme).not.toContain('Hand-written');
+
+  const [entry] = (await request(app).get(`/api/project/${projectId}/history`)).body.history;
+  expect(entry).toMatchObject({ revision: job.result.revision, action: 'feature', author: 'alice', reason: 'Add feature: Orders resource with JWT auth' });
+});
+
+test('leaves the project as it was when the changeset stays invalid', async () => {
+  const projectId = await generatedProject();
+  const before = (await request(app).get(`/api/project/${projectId}/history`)).body.history;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  backend.reply = () => ({ content: JSON.stringify({ summary: 'Broken', changes: [{ action: 'create', path: 'src/new.js' }] }) });
+
+  const job = await addFeature(projectId, 'Add something');
+  expect(job.status).toBe('failed');
+  expect(job.error.errors).toEqual([{ field: 'changes[0].content', message: 'is required' }]);
+  expect((await request(app).get(`/api/project/${projectId}/history`)).body.history).toEqual(before);
+});
+
+test('answers 400 without a feature and 404 for unknown projects', async () => {
+  const projectId = await generatedProject();
+  expect((await request(app).post(`/api/project/${projectId}/features`).send({})).status).toBe(400);
+  expect((await request(app).post('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/features').send({ feature: 'Add orders' })).status).toBe(404);
+});
@@ -0,0 +1,154 @@
+const http = require('http');
+const request = require('supertest');
+const { loadApp, waitForJob, startFakeLLM } = require('./helpers');
+
+// One file at a time, so files are generated in plan order
+let backend;
+let app;
+let cleanup;
+let server;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'planner',
+    LLM_MAX_RETRIES: '0',
+    GENERATION_CONCURRENCY: '1'
+  }));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+const PLAN = {
+  projectName: 'shop-api',
+  description: 'Orders',
+  technology: 'Node.js',
+  framework: 'Express',
+  database: 'None',
+  fileTree: {
+    'src/': { type: 'directory' },
+    'src/app.js': { type: 'file', description: 'Express app' },
+    'src/orders.js': { type: 'file', description: 'Orders router' },
+    'package.json': { type: 'file', description: 'Manifest' }
+  },
+  dependencies: { express: '^4.18.2' },
+  devDependencies: {},
+  setupInstructions: ['npm install'],
+  apiEndpoints: [{ method: 'GET', path: '/api/orders', description: 'List orders' }],
+  environmentVariables: { PORT: '3000' }
+};
+
+// Plans with PLAN and answers each file request with `file(path, call)`
+const answer = (file) => (call) => {
+  const target = call.body.messages.at(-1).content.match(/^File to generate: (.+)$/m);
+  return target ? file(target[1], call) : { content: JSON.stringify(PLAN) };
+};
+
+const events = (text) => [...text.matchAll(/^id: (\d+)\nevent: (.+)\ndata: (.+)$/gm)]
+  .map(([, id, type, data]) => ({ ...JSON.parse(data), id: Number(id), type }));
+
+// Start a streamed generation, read its first event and hang up
+function startAndDisconnect(body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, path: '/api/generate/stream', method: 'POST', headers: { 'content-type': 'application/json' } }, (res) => {
+      res.once('data', (chunk) => {
+        req.destroy();
+        resolve(events(chunk.toString())[0]);
+      });
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+// Holds the request for `path` until the generation is cancelled
+function holdFile(path) {
+  let reached;
+  const held = new Promise(resolve => {
+    reached = resolve;
+  });
+  backend.reply = answer(async (filePath, { disconnected }) => {
+    if (filePath !== path) return { content: `// ${filePath}\n` };
+    reached();
+    await disconnected;
+    return { content: '' };
+  });
+  return held;
+}
+
+test('streams the plan, then each file as it is written or fails', async () => {
+  backend.reply = answer((filePath) => filePath === 'src/orders.js'
+    ? { status: 400, body: { error: 'context too long' } }
+    : { content: `// ${filePath}\n` });
+
+  const res = await request(app).post('/api/generate/stream').send({ prompt: 'An online shop' });
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+  const received = events(res.text);
+  const [first] = received;
+  expect(first).toMatchObject({ id: 1, type: 'status', status: 'queued', jobId: expect.any(String), projectId: expect.any(String) });
+  expect(received.find(event => event.type === 'plan')).toMatchObject({ projectName: 'shop-api', files: ['src/app.js', 'src/orders.js', 'package.json'] });
+
+  expect(received.filter(event => event.type === 'file').map(event => event.file)).toEqual([
+    { path: 'src/app.js', status: 'written', size: 13, completed: 1, total: 3 },
+    { path: 'src/orders.js', status: 'failed', error: expect.stringMatching(/^OpenAI-compatible API error: HTTP 400/), completed: 2, total: 3 },
+    { path: 'package.json', status: 'written', size: 15, completed: 3, total: 3 }
+  ]);
+  expect(received.at(-1)).toMatchObject({ type: 'status', status: 'completed', progress: 100 });
+
+  const job = await waitForJob(app, first.jobId);
+  expect(job.result.failedFiles).toEqual([{ path: 'src/orders.js', error: expect.any(String) }]);
+});
+
+test('keeps the files written so far when a streamed generation is cancelled', async () => {
+  const held = holdFile('src/orders.js');
+  const { jobId, projectId } = await startAndDisconnect({ prompt: 'An online shop' });
+  await held;
+
+  // Written files can be read while the job is still running
+  const written = await request(app).get(`/api/project/${projectId}/file/src/app.js`);
+  expect(written.body.content).toBe('// src/app.js');
+
+  // Reconnecting with Last-Event-ID picks up after the first event
+  const resumed = request(app).get(`/api/jobs/${jobId}/events`).set('Last-Event-ID', '1').then(res => res);
+  expect((await request(app).post(`/api/jobs/${jobId}/cancel`)).status).toBe(200);
+
+  const job = await waitForJob(app, jobId);
+  expect(job.status).toBe('cancelled');
+  expect(job.result).toMatchObject({ projectId, incomplete: true, fileTree: ['src/app.js'], missingFiles: ['src/orders.js', 'package.json'] });
+
+  const project = await request(app).get(`/api/project/${projectId}`);
+  expect(project.status).toBe(200);
+  expect(project.body.incomplete).toMatchObject({ status: 'cancelled', missingFiles: ['src/orders.js', 'package.json'] });
+
+  const replayed = events((await resumed).text);
+  expect(replayed[0].id).toBe(2);
+  expect(replayed.map(event => event.type)).toEqual(expect.arrayContaining(['plan', 'file', 'cancelling']));
+  expect(replayed.at(-1)).toMatchObject({ type: 'status', status: 'cancelled' });
+});
+
+test('removes the partial project when keepPartial is false', async () => {
+  const held = holdFile('src/orders.js');
+  const { jobId, projectId } = await startAndDisconnect({ prompt: 'An online shop', keepPartial: false });
+  await held;
+
+  await request(app).post(`/api/jobs/${jobId}/cancel`);
+  const job = await waitForJob(app, jobId);
+  expect(job.status).toBe('cancelled');
+  expect(job.result).toBeNull();
+  expect((await request(app).get(`/api/project/${projectId}`)).status).toBe(404);
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const { loadApp, waitForJob, startFakeLLM } = require('./helpers');
+
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'planner',
+    LLM_MAX_RETRIES: '0',
+    GENERATION_CONCURRENCY: '2',
+    FILE_GENERATION_RETRIES: '1',
+    SCHEMA_REPAIR_ATTEMPTS: '1'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => {
+  backend.requests.length = 0;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const PLAN = {
+  projectName: 'shop-api',
+  description: 'Orders and users',
+  technology: 'Node.js',
+  framework: 'Express',
+  database: 'None',
+  fileTree: {
+    'src/': { type: 'directory' },
+    'src/routes/': { type: 'directory' },
+    'src/app.js': { type: 'file', description: 'Express app mounting the routers' },
+    'src/routes/orders.js': { type: 'file', description: 'Orders router' },
+    'src/routes/users.js': { type: 'file', description: 'Users router' },
+    'package.json': { type: 'file', description: 'Manifest' }
+  },
+  dependencies: { express: '^4.18.2' },
+  devDependencies: {},
+  setupInstructions: ['npm install'],
+  apiEndpoints: [{ method: 'GET', path: '/api/orders', description: 'List orders' }],
+  environmentVariables: { PORT: '3000' }
+};
+
+const isPlanning = (call) => call.body.messages[0].content.startsWith('You are a senior full-stack');
+const fileOf = (call) => (call.body.messages.at(-1).content.match(/^File to generate: (.+)$/m) || [])[1];
+
+// Answers the nth plan request (repairs included) with `plans[n]`, or the
+// last one, and each file request with `file(path)`. Plans that are strings
+// are sent as they are.
+function answer({ plans = [PLAN], file = (filePath) => ({ content: `// ${filePath}\n` }) } = {}) {
+  let planned = 0;
+  return (call) => {
+    if (isPlanning(call)) {
+      const plan = plans[Math.min(planned++, plans.length - 1)];
+      return { content: typeof plan === 'string' ? plan : JSON.stringify(plan) };
+    }
+    return file(fileOf(call), call);
+  };
+}
+
+async function generate(prompt = 'An online shop') {
+  const started = await request(app).post('/api/generate').send({ prompt });
+  expect(started.status).toBe(202);
+  return waitForJob(app, started.body.jobId);
+}
+
+describe('multi-pass generation', () => {
+  test('plans the file tree first, then generates each file in its own call', async () => {
+    backend.reply = answer();
+
+    const job = await generate();
+    expect(job.status).toBe('completed');
+
+    const [planning, ...files] = backend.requests;
+    expect(isPlanning(planning)).toBe(true);
+    expect(planning.body.messages.at(-1).content).toBe('An online shop');
+    expect(files.map(fileOf).sort()).toEqual(['package.json', 'src/app.js', 'src/routes/orders.js', 'src/routes/users.js']);
+
+    // Every file call carries the request and the whole plan
+    const appCall = files.find(call => fileOf(call) === 'src/app.js').body.messages.at(-1).content;
+    expect(appCall).toMatch(/^Project request:\nAn online shop\n/);
+    expect(appCall).toContain('"src/routes/users.js": "Users router"');
+    expect(appCall).toContain('Purpose: Express app mounting the routers');
+
+    expect(job.result).toMatchObject({ projectName: 'shop-api', failedFiles: [] });
+    const stored = await request(app).get(`/api/project/${job.result.projectId}/file/src/routes/orders.js`);
+    expect(stored.body.content).toBe('// src/routes/orders.js');
+  });
+
+  test('generates at most GENERATION_CONCURRENCY files at once', async () => {
+    let active = 0;
+    let most = 0;
+    backend.reply = answer({
+      file: async (filePath) => {
+        most = Math.max(most, ++active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return { content: `// ${filePath}\n` };
+      }
+    });
+
+    expect((await generate()).status).toBe('completed');
+    expect(most).toBe(2);
+  });
+
+  test('retries a file that came back empty and reports the ones that still fail', async () => {
+    const attempts = {};
+    backend.reply = answer({
+      file: (filePath) => {
+        attempts[filePath] = (attempts[filePath] || 0) + 1;
+        if (filePath === 'src/routes/users.js') return { content: '' };
+        if (filePath === 'src/routes/orders.js' && attempts[filePath] === 1) return { content: '   ' };
+        return { content: `// ${filePath}\n` };
+      }
+    });
+
+    const job = await generate();
+    expect(job.status).toBe('completed');
+    expect(attempts).toEqual({ 'src/app.js': 1, 'package.json': 1, 'src/routes/orders.js': 2, 'src/routes/users.js': 2 });
+    expect(job.result.failedFiles).toEqual([{ path: 'src/routes/users.js', error: 'Empty response from AI model' }]);
+    expect(job.result.fileTree).toContain('src/routes/orders.js');
+    expect(job.result.fileTree).not.toContain('src/routes/users.js');
+  });
+
+  test('fails the generation when no file could be generated', async () => {
+    backend.reply = answer({ file: () => ({ status: 400, body: { error: 'context too long' } }) });
+
+    const job = await generate();
+    expect(job.status).toBe('failed');
+    expect(job.error.message).toMatch(/^Failed to generate any project files: OpenAI-compatible API error: HTTP 400/);
+    expect((await request(app).get(`/api/project/${job.projectId}`)).status).toBe(404);
+  });
+});
+
+describe('schema validation', () => {
+  const planning = () => backend.requests.filter(isPlanning);
+
+  test('sends schema errors back to the model and goes on with the repaired plan', async () => {
+    const invalid = {
+      ...PLAN,
+      projectName: 'Shop API',
+      fileTree: { ...PLAN.fileTree, '/etc/passwd': { type: 'file' } },
+      apiEndpoints: [{ method: 'FETCH', path: 'orders', description: 'List orders' }]
+    };
+    delete invalid.setupInstructions;
+    backend.reply = answer({ plans: [invalid, PLAN] });
+
+    const job = await generate();
+    expect(job.status).toBe('completed');
+    expect(job.result.projectName).toBe('shop-api');
+
+    const [first, repair] = planning();
+    expect(repair.body.messages.slice(0, 2)).toEqual(first.body.messages);
+    expect(repair.body.messages[2]).toEqual({ role: 'assistant', content: JSON.stringify(invalid) });
+    const feedback = repair.body.messages[3].content;
+    expect(feedback).toMatch(/^Your JSON does not match the required structure:/);
+    expect(feedback).toContain('- setupInstructions: is required');
+    expect(feedback).toContain('- projectName: must match pattern');
+    expect(feedback).toContain('- fileTree["/etc/passwd"]: is not a valid relative path');
+    expect(feedback).toContain('- apiEndpoints[0].method: must be one of GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS');
+    expect(feedback).toContain('- apiEndpoints[0].path: must match pattern "^/"');
+  });
+
+  test('treats an answer that is not JSON as a document to repair', async () => {
+    backend.reply = answer({ plans: ['Sure! Here is your project.', `\`\`\`json\n${JSON.stringify(PLAN)}\n\`\`\``] });
+
+    expect((await generate()).status).toBe('completed');
+    expect(planning()[1].body.messages[3].content).toContain('- (root): response is not valid JSON');
+  });
+
+  test('fails with the fields still invalid once SCHEMA_REPAIR_ATTEMPTS repairs are used up', async () => {
+    const invalid = { ...PLAN, environmentVariables: { PORT: 3000 } };
+    delete invalid.technology;
+    backend.reply = answer({ plans: [invalid] });
+
+    const job = await generate();
+    expect(job.status).toBe('failed');
+    expect(job.error).toEqual({
+      message: 'AI model returned an invalid project document',
+      errors: [
+        { field: 'technology', message: 'is required' },
+        { field: 'environmentVariables.PORT', message: 'must be string' }
+      ]
+    });
+    expect(planning()).toHaveLength(2);
+    expect(backend.requests.filter(call => fileOf(call))).toHaveLength(0);
+  });
+});
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const zlib = require('zlib');
+const request = require('supertest');
+
+// Requires server.js for a spec: memory storage, the mock provider, no auth or
+// rate limits unless `env` sets them, and history in a temporary
+// PROJECTS_DIR. Configuration is read when the module loads, so call it once
+// per spec file (Jest gives every file its own module registry), or inside
+// jest.isolateModules() to load more configurations.
+function loadApp(env = {}) {
+  const projectsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-backend-generator-'));
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'memory',
+    LLM_PROVIDER: 'mock',
+    API_KEYS: '',
+    RATE_LIMIT_PER_MINUTE: '0',
+    LLM_RATE_LIMIT_PER_MINUTE: '0',
+    TRUST_PROXY: '',
+    PROJECTS_DIR: projectsDir,
+    ...env
+  });
+
+  const app = require('../server');
+  return {
+    app,
+    projectsDir,
+    cleanup: async () => {
+      await app.close();
+      fs.rmSync(projectsDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Uncompressed tar archive of { path, content } entries. Entries may set
+// `type` and `linkpath` to add links and other non-file entries.
+function tarball(entries) {
+  const blocks = [];
+  for (const { path: entryPath, content = '', type = 'File', linkpath } of entries) {
+    const data = Buffer.from(content);
+    const header = new tar.Header({ path: entryPath, type, linkpath, mode: 0o644, size: type === 'File' ? data.length : 0, mtime: new Date(0) });
+    header.encode();
+    blocks.push(header.block);
+    if (type === 'File') {
+      blocks.push(data, Buffer.alloc((512 - data.length % 512) % 512));
+    }
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip archive of { path, content } entries, stored without compression.
+// `mode` sets the Unix file type and permissions, e.g. 0o120777 for a symlink.
+function zipArchive(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { path: entryPath, content = '', mode = 0o100644 } of entries) {
+    const name = Buffer.from(entryPath);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Names of the entries in a zip archive, read from its central directory
+function zipEntries(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const names = [];
+  let offset = archive.readUInt32LE(end + 16);
+  for (let index = 0; index < archive.readUInt16LE(end + 10); index++) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    names.push(archive.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+  }
+  return names;
+}
+
+// Names of the files in a gzipped tar archive, read from their headers
+function tarEntries(archive) {
+  const data = zlib.gunzipSync(archive);
+  const names = [];
+  for (let offset = 0; offset + 512 <= data.length && data[offset] !== 0;) {
+    const field = (start, length) => data.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12), 8) || 0;
+    if (field(156, 1) === '0' || field(156, 1) === '') {
+      names.push([field(345, 155), field(0, 100)].filter(Boolean).join('/'));
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return names;
+}
+
+// GET a download with the body buffered as raw bytes in `res.body`
+function download(app, url, headers = {}) {
+  return request(app).get(url).set(headers).buffer(true).parse((res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+}
+
+// Import a small project through the API and return its id. `fields` are
+// extra form fields such as name and description.
+async function importProject(app, files = { 'index.js': 'console.log("hi");\n' }, headers = {}, fields = {}) {
+  const archive = tarball(Object.entries(files).map(([filePath, content]) => ({ path: filePath, content })));
+  const upload = request(app).post('/api/import').set(headers);
+  for (const [name, value] of Object.entries(fields)) {
+    upload.field(name, value);
+  }
+  const res = await upload.attach('archive', archive, 'project.tar');
+  if (res.status !== 201) {
+    throw new Error(`Import failed with ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.projectId;
+}
+
+// Poll a job until it has finished, however it ended, and return it
+async function waitForJob(app, jobId, headers = {}) {
+  for (let attempt = 0; attempt < 500; attempt++) {
+    const job = (await request(app).get(`/api/jobs/${jobId}`).set(headers)).body;
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+// S3-compatible server over an in-memory bucket, enough for S3Storage: GET,
+// HEAD, PUT (with If-None-Match / If-Match), DELETE and ListObjectsV2 with
+// path-style addressing. Requests need a SigV4 Authorization header and a
+// matching x-amz-content-sha256. Set `hold` on the result to a function of
+// (method, path) that returns a promise to delay matching requests until it
+// settles. Resolves once it is listening.
+async function startFakeS3() {
+  const objects = new Map();
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const handle = (req, body, res) => {
+    const url = new URL(req.url, 'http://s3.local');
+    const [, , ...segments] = url.pathname.split('/');
+    const key = segments.map(decodeURIComponent).join('/');
+    const send = (status, headers = {}, text = '') => res.writeHead(status, headers).end(req.method === 'HEAD' ? undefined : text);
+    const error = (status, code) => send(status, { 'content-type': 'application/xml' }, `<Error><Code>${code}</Code></Error>`);
+
+    const authorized = /^AWS4-HMAC-SHA256 Credential=\S+\/\d{8}\/[\w-]+\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+      .test(req.headers.authorization || '');
+    if (!authorized || req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+      return error(403, 'AccessDenied');
+    }
+
+    if (!key) {
+      const prefix = url.searchParams.get('prefix') || '';
+      const delimiter = url.searchParams.get('delimiter');
+      const maxKeys = Number(url.searchParams.get('max-keys') || 1000);
+      const after = url.searchParams.get('continuation-token') || '';
+      const contents = [];
+      const prefixes = new Set();
+      let truncated = false;
+
+      for (const name of [...objects.keys()].sort()) {
+        if (!name.startsWith(prefix) || name <= after) continue;
+        const rest = name.slice(prefix.length);
+        if (delimiter && rest.includes(delimiter)) {
+          prefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + 1));
+          continue;
+        }
+        if (contents.length === maxKeys) {
+          truncated = true;
+          break;
+        }
+        contents.push(name);
+      }
+
+      return send(200, { 'content-type': 'application/xml' }, [
+        '<ListBucketResult>',
+        `<IsTruncated>${truncated}</IsTruncated>`,
+        ...(truncated ? [`<NextContinuationToken>${escape(contents[contents.length - 1])}</NextContinuationToken>`] : []),
+        ...contents.map(name => `<Contents><Key>${escape(name)}</Key><Size>${objects.get(name).data.length}</Size><LastModified>${objects.get(name).modified.toISOString()}</LastModified><ETag>${escape(objects.get(name).etag).replace(/"/g, '&quot;')}</ETag></Contents>`),
+        ...[...prefixes].map(name => `<CommonPrefixes><Prefix>${escape(name)}</Prefix></CommonPrefixes>`),
+        '</ListBucketResult>'
+      ].join(''));
+    }
+
+    const object = objects.get(key);
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD':
+        if (!object) return error(404, 'NoSuchKey');
+        return send(200, { etag: object.etag, 'last-modified': object.modified.toUTCString(), 'content-length': object.data.length }, object.data);
+      case 'PUT': {
+        if (req.headers['if-none-match'] === '*' && object) return error(412, 'PreconditionFailed');
+        if (req.headers['if-match'] && !object) return error(404, 'NoSuchKey');
+        if (req.headers['if-match'] && req.headers['if-match'] !== object.etag) return error(412, 'PreconditionFailed');
+        const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+        objects.set(key, { data: body, etag, modified: new Date() });
+        return send(200, { etag });
+      }
+      case 'DELETE':
+        objects.delete(key);
+        return send(204);
+      default:
+        return error(405, 'MethodNotAllowed');
+    }
+  };
+
+  const fake = { objects, hold: null };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      await fake.hold?.(req.method, decodeURIComponent(new URL(req.url, 'http://s3.local').pathname));
+      handle(req, Buffer.concat(chunks), res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return Object.assign(fake, {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  });
+}
+
+// Chat backend speaking both the OpenAI-compatible API (POST .../chat/completions)
+// and Ollama's (POST /api/chat), streaming or not. Every request is recorded
+// in `requests` as { path, headers, body }. Set `reply` on the result to a
+// function of that request returning (or resolving to) the answer: `{ content }`
+// for a completion, or `{ status, headers, body }` for an error response. By
+// default it answers "Hello from <model>". `reply` also gets `disconnected`,
+// a promise that settles if the client hangs up before the answer was sent.
+// Resolves once it is listening.
+async function startFakeLLM() {
+  const fake = {
+    requests: [],
+    reply: ({ body }) => ({ content: `Hello from ${body.model}` })
+  };
+
+  const respond = async (req, res, call) => {
+    const answer = await fake.reply(call);
+    if (answer.status) {
+      return res.writeHead(answer.status, { 'content-type': 'application/json', ...answer.headers }).end(JSON.stringify(answer.body || {}));
+    }
+
+    const ollama = call.path === '/api/chat';
+    const tokens = answer.content.match(/\S+\s*/g) || [];
+    const usage = { prompt_tokens: 10, completion_tokens: tokens.length, total_tokens: 10 + tokens.length };
+    if (!call.body.stream) {
+      return res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(ollama
+        ? { message: { role: 'assistant', content: answer.content }, done: true, prompt_eval_count: 10, eval_count: tokens.length }
+        : { choices: [{ message: { role: 'assistant', content: answer.content } }], usage }));
+    }
+
+    res.writeHead(200, { 'content-type': ollama ? 'application/x-ndjson' : 'text/event-stream' });
+    for (const token of tokens) {
+      res.write(ollama
+        ? `${JSON.stringify({ message: { content: token }, done: false })}\n`
+        : `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`);
+    }
+    res.end(ollama
+      ? `${JSON.stringify({ done: true, prompt_eval_count: 10, eval_count: tokens.length })}\n`
+      : `data: ${JSON.stringify({ choices: [], usage })}\n\ndata: [DONE]\n\n`);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const call = { path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString() || '{}') };
+      fake.requests.push(call);
+      const disconnected = new Promise(resolve => res.on('close', () => {
+        if (!res.writableEnded) resolve();
+      }));
+      respond(req, res, { ...call, disconnected }).catch(error => res.writeHead(500).end(error.message));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return Object.assign(fake, {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  });
+}
+
+module.exports = { loadApp, tarball, zipArchive, zipEntries, tarEntries, download, importProject, waitForJob, startFakeS3, startFakeLLM };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+const { app, projectsDir, cleanup } = loadApp({ STORAGE_BACKEND: 'fs' });
+
+afterAll(cleanup);
+
+const put = (projectId, filePath, content, fields = {}) => request(app)
+  .put(`/api/project/${projectId}/file/${filePath}`).set('X-Author', 'alice').send({ content, ...fields });
+const read = async (projectId, filePath) => (await request(app).get(`/api/project/${projectId}/file/${filePath}`)).body.content;
+const history = async (projectId, query = {}) => (await request(app).get(`/api/project/${projectId}/history`).query(query)).body.history;
+
+test('records every change as a commit with its author and reason', async () => {
+  const projectId = await importProject(app, { 'package.json': '{}', 'src/app.js': 'v1\n' });
+
+  const edit = await put(projectId, 'src/app.js', 'v2\n', { reason: 'Bump the version' });
+  expect(edit.status).toBe(200);
+  const enhance = await request(app).put(`/api/project/${projectId}/enhance/src/app.js`).set('X-Author', 'bob').send({ requirements: 'Add logging' });
+  expect(enhance.status).toBe(200);
+
+  const entries = await history(projectId);
+  expect(entries.map(entry => entry.action)).toEqual(['enhance', 'edit', 'import']);
+  expect(entries[0]).toMatchObject({ revision: enhance.body.revision, author: 'bob', reason: 'Enhance src/app.js: Add logging', details: { model: 'mock:mock-1' } });
+  expect(entries[1]).toMatchObject({ revision: edit.body.revision, author: 'alice', reason: 'Bump the version', files: ['src/app.js'] });
+  expect(entries[1].shortRevision).toBe(edit.body.revision.slice(0, 7));
+
+  await put(projectId, 'package.json', '{ "name": "app" }');
+  expect((await history(projectId, { path: 'src/app.js' })).map(entry => entry.action)).toEqual(['enhance', 'edit', 'import']);
+  expect(await history(projectId, { limit: 1 })).toHaveLength(1);
+
+  // Earlier versions live in history only, not as backup files in the project
+  const files = fs.readdirSync(path.join(projectsDir, projectId), { recursive: true });
+  expect(files.filter(file => /\.backup/.test(file))).toEqual([]);
+});
+
+test('diffs a revision against its parent or against any other revision', async () => {
+  const projectId = await importProject(app, { 'package.json': '{}', 'src/app.js': 'v1\n' });
+  const first = (await put(projectId, 'src/app.js', 'v2\n')).body.revision;
+  const second = (await put(projectId, 'src/app.js', 'v3\n')).body.revision;
+
+  const latest = await request(app).get(`/api/project/${projectId}/diff`);
+  expect(latest.body).toMatchObject({ from: 'HEAD~1', to: 'HEAD' });
+  expect(latest.body.diff).toMatch(/^-v2\n\+v3$/m);
+
+  const range = await request(app).get(`/api/project/${projectId}/diff`).query({ from: first, to: second, path: 'src/app.js' });
+  expect(range.body.files).toEqual([expect.objectContaining({ path: 'src/app.js' })]);
+
+  const imported = (await history(projectId)).at(-1).revision;
+  const initial = await request(app).get(`/api/project/${projectId}/diff`).query({ to: imported });
+  expect(initial.body.diff).toMatch(/^\+v1$/m);
+
+  expect((await request(app).get(`/api/project/${projectId}/diff`).query({ to: 'HEAD;rm' })).status).toBe(400);
+  expect((await request(app).get(`/api/project/${projectId}/diff`).query({ to: 'f'.repeat(40) })).status).toBe(404);
+});
+
+test('reverts a file or the whole project to an earlier revision', async () => {
+  const projectId = await importProject(app, { 'package.json': '{}', 'src/app.js': 'v1\n' });
+  const imported = (await history(projectId))[0].revision;
+  await put(projectId, 'src/app.js', 'v2\n');
+  await put(projectId, 'package.json', '{ "name": "app" }');
+
+  const file = await request(app).post(`/api/project/${projectId}/revert`).set('X-Author', 'alice').send({ revision: imported, path: 'src/app.js' });
+  expect(file.status).toBe(200);
+  expect(file.body).toMatchObject({ success: true, message: 'Revert committed', path: 'src/app.js', revertedTo: imported });
+  expect(await read(projectId, 'src/app.js')).toBe('v1\n');
+  expect(await read(projectId, 'package.json')).toBe('{ "name": "app" }');
+  expect((await history(projectId))[0]).toMatchObject({
+    revision: file.body.revision,
+    action: 'revert',
+    author: 'alice',
+    reason: `Revert src/app.js to ${imported.slice(0, 7)}`,
+    details: { reverted: imported }
+  });
+
+  const project = await request(app).post(`/api/project/${projectId}/revert`).send({ revision: imported });
+  expect(project.body.path).toBeNull();
+  expect(await read(projectId, 'package.json')).toBe('{}');
+
+  const again = await request(app).post(`/api/project/${projectId}/revert`).send({ revision: imported });
+  expect(again.body).toMatchObject({ message: 'Nothing to revert', revision: null });
+
+  expect((await request(app).post(`/api/project/${projectId}/revert`).send({ revision: imported, path: 'src/missing.js' })).status).toBe(404);
+  expect((await request(app).post(`/api/project/${projectId}/revert`).send({})).status).toBe(400);
+});
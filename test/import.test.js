@@ -0,0 +1,98 @@
+const zlib = require('zlib');
+const request = require('supertest');
+const { loadApp, tarball, zipArchive } = require('./helpers');
+
+const { app, cleanup } = loadApp();
+
+afterAll(cleanup);
+
+function importArchive(archive, filename) {
+  return request(app).post('/api/import').attach('archive', archive, filename);
+}
+
+async function projectCount() {
+  const res = await request(app).get('/api/projects');
+  return res.body.projects.length;
+}
+
+describe('zip import', () => {
+  test('imports files and strips a shared top-level folder', async () => {
+    const res = await importArchive(zipArchive([
+      { path: 'my-api/package.json', content: '{"name":"my-api","dependencies":{"express":"^4.18.2"}}' },
+      { path: 'my-api/src/app.js', content: 'const express = require("express");\n' }
+    ]), 'my-api.zip');
+
+    expect(res.status).toBe(201);
+    expect(res.body.fileTree.sort()).toEqual(['package.json', 'src/app.js']);
+
+    const file = await request(app).get(`/api/project/${res.body.projectId}/file/src/app.js`);
+    expect(file.body.content).toBe('const express = require("express");\n');
+  });
+
+  test.each([
+    ['../evil.js'],
+    ['src/../../evil.js'],
+    ['/etc/cron.d/evil'],
+    ['..\\evil.js']
+  ])('rejects the zip-slip entry %s', async (entryPath) => {
+    const before = await projectCount();
+    const res = await importArchive(zipArchive([
+      { path: 'index.js', content: 'ok' },
+      { path: entryPath, content: 'evil' }
+    ]), 'slip.zip');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/traversal|relative path|absolute path/i);
+    expect(await projectCount()).toBe(before);
+  });
+
+  test('rejects symlink entries', async () => {
+    const res = await importArchive(zipArchive([
+      { path: 'index.js', content: 'ok' },
+      { path: 'passwd', content: '/etc/passwd', mode: 0o120777 }
+    ]), 'link.zip');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Symbolic links are not allowed/);
+  });
+});
+
+describe('tar import', () => {
+  test('imports a gzipped tarball', async () => {
+    const archive = zlib.gzipSync(tarball([{ path: 'index.js', content: 'console.log(1);\n' }]));
+    const res = await importArchive(archive, 'project.tar.gz');
+
+    expect(res.status).toBe(201);
+    expect(res.body.fileTree).toContain('index.js');
+  });
+
+  test.each([
+    ['../evil.js'],
+    ['src/../../evil.js']
+  ])('rejects the zip-slip entry %s', async (entryPath) => {
+    const before = await projectCount();
+    const res = await importArchive(tarball([
+      { path: 'index.js', content: 'ok' },
+      { path: entryPath, content: 'evil' }
+    ]), 'slip.tar');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/traversal|relative path|absolute path/i);
+    expect(await projectCount()).toBe(before);
+  });
+
+  test.each([
+    ['SymbolicLink', '/etc/passwd'],
+    ['Link', 'index.js']
+  ])('rejects %s entries', async (type, linkpath) => {
+    const before = await projectCount();
+    const res = await importArchive(tarball([
+      { path: 'index.js', content: 'ok' },
+      { path: 'linked', type, linkpath }
+    ]), 'link.tar');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Only regular files are allowed/);
+    expect(await projectCount()).toBe(before);
+  });
+});
@@ -0,0 +1,116 @@
+const http = require('http');
+const request = require('supertest');
+const { loadApp, waitForJob } = require('./helpers');
+
+const { app, cleanup } = loadApp();
+const { MemoryStorage } = app;
+
+afterAll(cleanup);
+afterEach(() => jest.restoreAllMocks());
+
+const finished = (jobId) => waitForJob(app, jobId);
+
+const eventTypes = (text) => [...text.matchAll(/^event: (.+)$/gm)].map(([, type]) => type);
+
+test('runs a generation as a job and reports its result', async () => {
+  const started = await request(app).post('/api/generate').send({ prompt: 'A todo API' });
+  expect(started.status).toBe(202);
+  expect(started.body).toMatchObject({ success: true, status: 'queued', statusUrl: `/api/jobs/${started.body.jobId}` });
+
+  const job = await finished(started.body.jobId);
+  expect(job).toMatchObject({ type: 'generate', status: 'completed', phase: 'completed', progress: 100, projectId: started.body.projectId, error: null });
+  expect(job.result).toMatchObject({ projectId: started.body.projectId, projectName: 'a-todo-api' });
+  expect(job.result.fileTree).toContain('src/app.js');
+
+  const project = await request(app).get(`/api/project/${started.body.projectId}`);
+  expect(project.status).toBe(200);
+  const listed = await request(app).get('/api/projects');
+  expect(listed.body.projects.map(entry => entry.id)).toContain(started.body.projectId);
+  const jobs = await request(app).get('/api/jobs');
+  expect(jobs.body.jobs.map(entry => entry.id)).toContain(started.body.jobId);
+});
+
+test('replays the events of a job, from the one after Last-Event-ID when given', async () => {
+  const started = await request(app).post('/api/generate').send({ prompt: 'A notes API' });
+  await finished(started.body.jobId);
+
+  const events = await request(app).get(`/api/jobs/${started.body.jobId}/events`);
+  expect(events.headers['content-type']).toMatch(/^text\/event-stream/);
+  const types = eventTypes(events.text);
+  expect(types[0]).toBe('status');
+  expect(types).toEqual(expect.arrayContaining(['progress', 'plan', 'file']));
+  expect(types.at(-1)).toBe('status');
+  expect(events.text).toMatch(/"status":"completed"/);
+
+  const progress = [...events.text.matchAll(/"progress":(\d+)/g)].map(([, value]) => Number(value));
+  expect(progress).toEqual([...progress].sort((a, b) => a - b));
+
+  const resumed = await request(app).get(`/api/jobs/${started.body.jobId}/events`).set('Last-Event-ID', '2');
+  expect(resumed.text).not.toMatch(/^id: [12]$/m);
+  expect(eventTypes(resumed.text)).toEqual(types.slice(2));
+});
+
+test('cancels a running job and removes what it had written', async () => {
+  let release;
+  const held = new Promise(resolve => {
+    release = resolve;
+  });
+  const write = MemoryStorage.prototype.write;
+  jest.spyOn(MemoryStorage.prototype, 'write').mockImplementation(async function (key, data) {
+    if (/^[0-9a-f-]{36}\//.test(key)) await held;
+    return write.call(this, key, data);
+  });
+
+  try {
+    const started = await request(app).post('/api/generate').send({ prompt: 'A slow API' });
+    const { jobId, projectId } = started.body;
+    for (let attempt = 0; attempt < 50 && (await request(app).get(`/api/jobs/${jobId}`)).body.phase !== 'generating-files'; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const cancelled = await request(app).post(`/api/jobs/${jobId}/cancel`);
+    expect(cancelled.status).toBe(200);
+    release();
+
+    const job = await finished(jobId);
+    expect(job.status).toBe('cancelled');
+    expect((await request(app).get(`/api/project/${projectId}`)).status).toBe(404);
+
+    const again = await request(app).post(`/api/jobs/${jobId}/cancel`);
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('Job already cancelled');
+  } finally {
+    release();
+  }
+});
+
+test('keeps running when the client that started it goes away', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  let jobId;
+  try {
+    // Read the first event, then hang up
+    jobId = await new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path: '/api/generate/stream', method: 'POST', headers: { 'content-type': 'application/json' } }, (res) => {
+        res.once('data', (chunk) => {
+          req.destroy();
+          resolve(chunk.toString().match(/"jobId":"([0-9a-f-]{36})"/)[1]);
+        });
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ prompt: 'A bookmarks API' }));
+    });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  expect((await finished(jobId)).status).toBe('completed');
+});
+
+test('answers 400 without a prompt and 404 for unknown jobs', async () => {
+  expect((await request(app).post('/api/generate').send({})).status).toBe(400);
+  expect((await request(app).get('/api/jobs/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b')).status).toBe(404);
+  expect((await request(app).get('/api/jobs/not-a-job')).status).toBe(404);
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { loadApp, importProject, waitForJob } = require('./helpers');
+
+const { app, cleanup } = loadApp();
+
+afterAll(cleanup);
+
+async function generatedProject(prompt = 'A todo API') {
+  const started = await request(app).post('/api/generate').send({ prompt });
+  return (await waitForJob(app, started.body.jobId)).result.projectId;
+}
+
+const fork = (projectId, fields = {}) => request(app).post(`/api/project/${projectId}/fork`).set('X-Author', 'alice').send(fields);
+const put = (projectId, filePath, content) => request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content });
+const read = async (projectId, filePath) => (await request(app).get(`/api/project/${projectId}/file/${filePath}`)).body.content;
+const history = async (projectId) => (await request(app).get(`/api/project/${projectId}/history`)).body.history;
+
+async function regenerate(projectId, fields = {}) {
+  const started = await request(app).post(`/api/project/${projectId}/regenerate`).send(fields);
+  expect(started.status).toBe(202);
+  expect(started.body.parentId).toBe(projectId);
+  return waitForJob(app, started.body.jobId);
+}
+
+test('forks a project into a new one with its own history', async () => {
+  const projectId = await generatedProject();
+  await put(projectId, 'src/app.js', '// edited\n');
+  const [head] = await history(projectId);
+
+  const res = await fork(projectId, { name: 'todo-fork' });
+  expect(res.status).toBe(201);
+  const forkId = res.body.projectId;
+  expect(forkId).not.toBe(projectId);
+  expect(res.body).toMatchObject({ projectName: 'todo-fork', parent: { projectId, revision: head.revision, relation: 'fork' } });
+
+  expect(await read(forkId, 'src/app.js')).toBe('// edited\n');
+  expect((await request(app).get(`/api/project/${forkId}`)).body).toMatchObject({ projectName: 'todo-fork', prompt: 'A todo API', parent: { projectId } });
+  expect((await history(forkId)).map(entry => [entry.action, entry.author, entry.reason])).toEqual([['fork', 'alice', 'Fork a-todo-api']]);
+
+  await put(forkId, 'src/app.js', '// fork only\n');
+  expect(await read(projectId, 'src/app.js')).toBe('// edited\n');
+});
+
+test('regenerates from the stored prompt, with instructions or a new prompt, as a linked project', async () => {
+  const projectId = await generatedProject();
+  const [head] = await history(projectId);
+
+  const job = await regenerate(projectId, { instructions: 'Add pagination' });
+  expect(job.status).toBe('completed');
+  const child = (await request(app).get(`/api/project/${job.result.projectId}`)).body;
+  expect(child).toMatchObject({
+    prompt: 'A todo API\n\nAdd pagination',
+    provider: 'mock',
+    parent: { projectId, revision: head.revision, relation: 'regenerate' }
+  });
+  expect((await history(job.result.projectId))[0]).toMatchObject({ action: 'regenerate', reason: `Regenerate from ${projectId}` });
+
+  const replaced = await regenerate(projectId, { prompt: 'A notes API' });
+  expect((await request(app).get(`/api/project/${replaced.result.projectId}`)).body.prompt).toBe('A notes API');
+
+  // The original is left as it was
+  expect((await history(projectId)).map(entry => entry.revision)).toEqual([head.revision]);
+});
+
+test('refuses to regenerate imported projects without a prompt', async () => {
+  const imported = await importProject(app);
+  const res = await request(app).post(`/api/project/${imported}/regenerate`).send({});
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe('Project has no stored prompt (imported?); pass a prompt');
+
+  expect((await request(app).post(`/api/project/${imported}/regenerate`).send({ instructions: ' ' })).status).toBe(400);
+  expect((await request(app).post('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/regenerate').send({})).status).toBe(404);
+  expect((await fork('6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b')).status).toBe(404);
+});
+
+test('shows where a project came from and what came from it', async () => {
+  const projectId = await generatedProject();
+  const forkId = (await fork(projectId)).body.projectId;
+  const grandchildId = (await fork(forkId)).body.projectId;
+  const regeneratedId = (await regenerate(projectId)).result.projectId;
+
+  const root = (await request(app).get(`/api/project/${projectId}/lineage`)).body;
+  expect(root).toMatchObject({ projectId, name: 'a-todo-api', parent: null, ancestors: [] });
+  expect(root.children.map(child => [child.id, child.relation])).toEqual([[forkId, 'fork'], [regeneratedId, 'regenerate']]);
+
+  const leaf = (await request(app).get(`/api/project/${grandchildId}/lineage`)).body;
+  expect(leaf.parent).toMatchObject({ id: forkId, relation: 'fork' });
+  expect(leaf.ancestors.map(ancestor => ancestor.id)).toEqual([forkId, projectId]);
+  expect(leaf.children).toEqual([]);
+
+  expect((await request(app).get('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/lineage')).status).toBe(404);
+});
+
+test('compares related projects file by file', async () => {
+  const projectId = await generatedProject();
+  const forkId = (await fork(projectId)).body.projectId;
+  await put(forkId, 'src/app.js', "const express = require('express');\n");
+  await put(forkId, 'src/orders.js', 'module.exports = [];\n');
+
+  const res = await request(app).get(`/api/project/${projectId}/compare/${forkId}`).query({ diff: 'true' });
+  expect(res.status).toBe(200);
+  expect(res.body.relationship).toBe('child');
+  expect(res.body.base).toMatchObject({ id: projectId, prompt: 'A todo API' });
+  // The API docs follow the routes, which moved with src/app.js
+  expect(res.body.summary).toMatchObject({ added: 1, removed: 0, modified: 3 });
+  expect(res.body.files.map(file => [file.path, file.status])).toEqual([
+    ['docs/openapi.json', 'modified'],
+    ['docs/postman_collection.json', 'modified'],
+    ['src/app.js', 'modified'],
+    ['src/orders.js', 'added']
+  ]);
+  expect(res.body.files[3]).toMatchObject({ binary: false, linesAdded: 1, linesRemoved: 0 });
+  expect(res.body.files[3].diff).toMatch(/^\+module\.exports = \[\];$/m);
+
+  const otherFork = (await fork(projectId)).body.projectId;
+  expect((await request(app).get(`/api/project/${forkId}/compare/${otherFork}`)).body.relationship).toBe('sibling');
+  expect((await request(app).get(`/api/project/${forkId}/compare/${projectId}`)).body.relationship).toBe('parent');
+
+  const unrelated = await generatedProject();
+  expect((await request(app).get(`/api/project/${projectId}/compare/${unrelated}`)).status).toBe(400);
+  expect((await request(app).get(`/api/project/${projectId}/compare/not-an-id`)).status).toBe(400);
+  expect((await request(app).get(`/api/project/${projectId}/compare/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b`)).status).toBe(404);
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { loadApp, waitForJob, startFakeLLM } = require('./helpers');
+
+// Three models behind the fake backend: `good` implements every endpoint it
+// plans, `sloppy` skips one and writes a file that does not parse, and
+// `broken` always fails. `good` is the fallback for everything, which a
+// comparison must not use.
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  backend.reply = reply;
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'good,sloppy,broken',
+    LLM_FALLBACKS: '*=good',
+    LLM_MAX_RETRIES: '0',
+    COMPARISON_MAX_MODELS: '3'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+const PLAN = {
+  projectName: 'orders-api',
+  description: 'Orders',
+  technology: 'Node.js',
+  framework: 'Express',
+  database: 'None',
+  fileTree: {
+    'src/': { type: 'directory' },
+    'src/app.js': { type: 'file', description: 'Express app with the orders routes' },
+    'src/util.js': { type: 'file', description: 'Helpers' },
+    'package.json': { type: 'file', description: 'Manifest' }
+  },
+  dependencies: { express: '^4.18.2' },
+  devDependencies: {},
+  setupInstructions: ['npm install'],
+  apiEndpoints: [
+    { method: 'GET', path: '/api/orders', description: 'List orders' },
+    { method: 'POST', path: '/api/orders', description: 'Create an order' }
+  ],
+  environmentVariables: { PORT: '3000' }
+};
+
+const FILES = {
+  good: {
+    'src/app.js': "const express = require('express');\n\nconst app = express();\napp.get('/api/orders', (req, res) => res.json([]));\napp.post('/api/orders', (req, res) => res.status(201).json(req.body));\n\nmodule.exports = app;\n",
+    'src/util.js': 'module.exports = {};\n',
+    'package.json': '{ "name": "orders-api", "dependencies": { "express": "^4.18.2" } }\n'
+  },
+  sloppy: {
+    'src/app.js': "const express = require('express');\n\nconst app = express();\napp.get('/api/orders', (req, res) => res.json([]));\n\nmodule.exports = app;\n",
+    'src/util.js': 'module.exports = {\n',
+    'package.json': '{ "name": "orders-api", "dependencies": { "express": "^4.18.2" } }\n'
+  }
+};
+
+function reply({ body }) {
+  if (body.model === 'broken') return { status: 500, body: { error: 'overloaded' } };
+
+  const target = body.messages.at(-1).content.match(/^File to generate: (.+)$/m);
+  return { content: target ? FILES[body.model][target[1]] : JSON.stringify({ ...PLAN, projectName: `orders-${body.model}` }) };
+}
+
+const compare = (models) => request(app).post('/api/generate/compare').send({ prompt: 'An orders API', models });
+
+test('generates the prompt with each model and compares the results', async () => {
+  const started = await compare(['good', 'sloppy']);
+  expect(started.status).toBe(202);
+  expect(started.body.runs.map(run => run.model)).toEqual(['openai:good', 'openai:sloppy']);
+
+  const job = await waitForJob(app, started.body.jobId);
+  expect(job).toMatchObject({ type: 'compare', status: 'completed' });
+
+  const { comparisonId, results, endpoints, ranking } = job.result;
+  expect(comparisonId).toBe(started.body.comparisonId);
+  expect(results.map(result => result.projectId)).toEqual(started.body.runs.map(run => run.projectId));
+
+  const [good, sloppy] = results;
+  expect(good).toMatchObject({
+    model: 'openai:good',
+    status: 'completed',
+    error: null,
+    files: { generated: 6, failed: 0 },
+    endpoints: { declared: 2, implemented: 2, missing: [] },
+    verification: { passed: true, syntaxErrors: 0 }
+  });
+  expect(good.usage.calls).toBe(4);
+  expect(good.latencyMs).toEqual(expect.any(Number));
+  expect(sloppy).toMatchObject({
+    endpoints: { declared: 2, implemented: 1, missing: [{ method: 'POST', path: '/api/orders' }] },
+    verification: { passed: false, syntaxErrors: 1 }
+  });
+
+  expect(endpoints).toEqual([
+    { endpoint: 'GET /api/orders', models: ['openai:good', 'openai:sloppy'] },
+    { endpoint: 'POST /api/orders', models: ['openai:good', 'openai:sloppy'] }
+  ]);
+  expect(ranking).toEqual(['openai:good', 'openai:sloppy']);
+
+  // Each result is a project of its own, linked to the others
+  const project = (await request(app).get(`/api/project/${sloppy.projectId}`)).body;
+  expect(project).toMatchObject({ projectName: 'orders-sloppy', model: 'sloppy', comparisonId });
+  const related = await request(app).get(`/api/project/${good.projectId}/compare/${sloppy.projectId}`);
+  expect(related.body.relationship).toBe('alternative');
+});
+
+test('reports a model that fails without falling back to another one', async () => {
+  backend.requests.length = 0;
+
+  const started = await compare(['good', 'broken']);
+  const job = await waitForJob(app, started.body.jobId);
+  expect(job.status).toBe('completed');
+
+  const broken = job.result.results.find(result => result.model === 'openai:broken');
+  expect(broken).toMatchObject({ status: 'failed', projectId: null, endpoints: null, verification: null, files: { generated: 0, failed: 0 } });
+  expect(broken.error).toMatch(/HTTP 500/);
+  expect(job.result.ranking).toEqual(['openai:good', 'openai:broken']);
+
+  // Only the good run's own calls went to the good model
+  expect(backend.requests.filter(call => call.body.model === 'good')).toHaveLength(4);
+});
+
+test('rejects fewer than two, too many or repeated models and unknown providers', async () => {
+  expect((await compare(['good'])).body.error).toBe('models must list between 2 and 3 models');
+  expect((await compare(['good', 'sloppy', 'broken', 'good'])).status).toBe(400);
+  expect((await compare(['good', 'openai:good'])).body.error).toBe('Model openai:good is listed more than once');
+  expect((await compare(['good', 42])).body.error).toBe('Each model must be a model name or { model, provider }');
+  expect((await compare(['good', { model: 'good', provider: 'nope' }])).status).toBe(400);
+  expect((await request(app).post('/api/generate/compare').send({ models: ['good', 'sloppy'] })).status).toBe(400);
+});
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+// Filesystem storage does real I/O between the check and the write, which is
+// where an unlocked apply would let another write in
+const { app, cleanup } = loadApp({ STORAGE_BACKEND: 'fs' });
+
+afterAll(cleanup);
+
+let projectId;
+
+beforeAll(async () => {
+  projectId = await importProject(app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' });
+});
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const fileUrl = (filePath) => `/api/project/${projectId}/file/${filePath}`;
+const readFile = async (filePath) => (await request(app).get(fileUrl(filePath))).body.content;
+const writeFile = (filePath, content) => request(app).put(fileUrl(filePath)).send({ content });
+const apply = (proposal) => request(app).post(`/api/project/${projectId}/proposals/${proposal.id}/apply`);
+
+async function propose(filePath, requirements) {
+  const res = await request(app)
+    .put(`/api/project/${projectId}/enhance/${filePath}`)
+    .send({ requirements, dryRun: true });
+  expect(res.status).toBe(200);
+  return res.body.proposal;
+}
+
+test('a dry run returns a proposal and leaves the file alone', async () => {
+  await writeFile('src/dry.js', 'const a = 1;\n');
+  const proposal = await propose('src/dry.js', 'Add logging');
+
+  expect(proposal.baseHash).toBe(sha256('const a = 1;\n'));
+  expect(proposal.diff).toMatch(/^\+\/\/ Enhanced: Add logging/m);
+  expect(await readFile('src/dry.js')).toBe('const a = 1;\n');
+
+  const listed = await request(app).get(`/api/project/${projectId}/proposals`);
+  expect(listed.body.proposals.map(item => item.id)).toContain(proposal.id);
+  expect(listed.body.proposals[0].content).toBeUndefined();
+});
+
+test('rejects a dryRun that is not a boolean', async () => {
+  const res = await request(app)
+    .put(`/api/project/${projectId}/rewrite/src/app.js`)
+    .send({ instructions: 'Use ESM', dryRun: 'false' });
+  expect(res.status).toBe(400);
+});
+
+test('applies a proposal once and commits it', async () => {
+  await writeFile('src/apply.js', 'const b = 2;\n');
+  const proposal = await propose('src/apply.js', 'Add tests');
+
+  const res = await apply(proposal);
+  expect(res.status).toBe(200);
+  expect(res.body.hash).toBe(sha256(proposal.content));
+  expect(await readFile('src/apply.js')).toBe(proposal.content);
+
+  const history = await request(app).get(`/api/project/${projectId}/history?path=src/apply.js&limit=1`);
+  expect(history.body.history[0]).toMatchObject({ revision: res.body.revision, action: 'enhance' });
+
+  expect((await apply(proposal)).status).toBe(404);
+});
+
+test('refuses a proposal whose file changed since', async () => {
+  await writeFile('src/stale.js', 'const c = 3;\n');
+  const proposal = await propose('src/stale.js', 'Add caching');
+  await writeFile('src/stale.js', 'const c = 4;\n');
+
+  const res = await apply(proposal);
+  expect(res.status).toBe(409);
+  expect(res.body).toMatchObject({ baseHash: proposal.baseHash, currentHash: sha256('const c = 4;\n') });
+  expect(await readFile('src/stale.js')).toBe('const c = 4;\n');
+});
+
+test('applies only one of two concurrent proposals for the same file', async () => {
+  await writeFile('src/race.js', 'const d = 5;\n');
+  const first = await propose('src/race.js', 'Add logging');
+  const second = await propose('src/race.js', 'Add metrics');
+
+  const results = await Promise.all([apply(first), apply(second)]);
+  expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+
+  const winner = results[0].status === 200 ? first : second;
+  expect(await readFile('src/race.js')).toBe(winner.content);
+});
+
+test('never applies a proposal over an edit that raced it', async () => {
+  await writeFile('src/edit-race.js', 'const e = 6;\n');
+  const proposal = await propose('src/edit-race.js', 'Add validation');
+
+  const [applied, edited] = await Promise.all([apply(proposal), writeFile('src/edit-race.js', 'const e = 7;\n')]);
+  expect(edited.status).toBe(200);
+
+  // Either the edit came second and replaced the proposal, or it came first
+  // and the proposal was refused; both end with the edit in place
+  expect([200, 409]).toContain(applied.status);
+  expect(await readFile('src/edit-race.js')).toBe('const e = 7;\n');
+});
+
+test('discards a proposal', async () => {
+  const proposal = await propose('src/app.js', 'Add docs');
+
+  expect((await request(app).delete(`/api/project/${projectId}/proposals/${proposal.id}`)).status).toBe(200);
+  expect((await request(app).get(`/api/project/${projectId}/proposals/${proposal.id}`)).status).toBe(404);
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { loadApp, startFakeLLM } = require('./helpers');
+
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: `${backend.endpoint}/v1/`,
+    OPENAI_COMPAT_API_KEY: 'gateway-token',
+    OPENAI_COMPAT_MODELS: 'gateway=org/gateway-model,small',
+    OLLAMA_BASE_URL: backend.endpoint,
+    OLLAMA_MODELS: 'llama3.1'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => {
+  backend.requests.length = 0;
+});
+
+// Events of a server-sent event stream as [event, data] pairs
+const events = (text) => [...text.matchAll(/^event: (.+)\ndata: (.+)$/gm)].map(([, event, data]) => [event, JSON.parse(data)]);
+
+test('lists models grouped by provider', async () => {
+  const models = await request(app).get('/api/models');
+  expect(models.body.defaultProvider).toBe('openai');
+  expect(models.body.default).toBe('gateway');
+  expect(models.body.providers.openai).toMatchObject({ configured: true, models: ['gateway', 'small'], details: { gateway: 'org/gateway-model' } });
+  expect(models.body.providers.ollama).toMatchObject({ configured: true, models: ['llama3.1'] });
+  expect(models.body.providers.groq.configured).toBe(false);
+
+  const health = await request(app).get('/health');
+  expect(health.body.models).toMatchObject({ openai: ['gateway', 'small'], ollama: ['llama3.1'], mock: ['mock-1'] });
+  expect(health.body.providers.mock).toEqual({ configured: true });
+});
+
+test('sends chat to the configured provider with the model id behind an alias', async () => {
+  const res = await request(app).post('/api/chat').send({ message: 'Hello', model: 'gateway', retrieval: false });
+
+  expect(res.status).toBe(200);
+  expect(res.body).toMatchObject({ response: 'Hello from org/gateway-model', provider: 'openai', model: 'gateway', modelUsed: 'openai:gateway' });
+  expect(backend.requests).toHaveLength(1);
+  expect(backend.requests[0].path).toBe('/v1/chat/completions');
+  expect(backend.requests[0].headers.authorization).toBe('Bearer gateway-token');
+  expect(backend.requests[0].body.messages.at(-1)).toEqual({ role: 'user', content: 'Hello' });
+});
+
+test('picks the provider per request, by name or as a model prefix', async () => {
+  const ollama = await request(app).post('/api/chat').send({ message: 'Hello', provider: 'ollama', retrieval: false });
+  expect(ollama.body).toMatchObject({ response: 'Hello from llama3.1', provider: 'ollama', modelUsed: 'ollama:llama3.1' });
+  expect(backend.requests.map(call => call.path)).toEqual(['/api/chat']);
+
+  const mock = await request(app).post('/api/chat').send({ message: 'Hello', model: 'mock:mock-1', retrieval: false });
+  expect(mock.body).toMatchObject({ response: 'Mock response to: Hello', provider: 'mock', modelUsed: 'mock:mock-1' });
+  expect(backend.requests).toHaveLength(1);
+});
+
+test('streams chat from OpenAI-compatible and Ollama backends alike', async () => {
+  for (const model of ['openai:small', 'ollama:llama3.1']) {
+    const res = await request(app).post('/api/chat/stream').send({ message: 'Hello', model, retrieval: false });
+    const received = events(res.text);
+
+    expect(received[0]).toEqual(['start', expect.objectContaining({ provider: model.split(':')[0] })]);
+    const backendModel = model === 'openai:small' ? 'small' : 'llama3.1';
+    expect(received.filter(([event]) => event === 'token').map(([, data]) => data.content).join('')).toBe(`Hello from ${backendModel}`);
+    expect(received.find(([event]) => event === 'usage')[1]).toMatchObject({ promptTokens: 10, completionTokens: 3 });
+    expect(received.at(-1)).toEqual(['done', { finishReason: 'stop', modelUsed: model }]);
+  }
+});
+
+test('rejects unknown and unconfigured providers', async () => {
+  const unknown = await request(app).post('/api/chat').send({ message: 'Hello', provider: 'nope' });
+  expect(unknown.status).toBe(400);
+  expect(unknown.body.error).toBe('Unknown provider: nope');
+
+  const groq = await request(app).post('/api/chat').send({ message: 'Hello', provider: 'groq' });
+  expect(groq.status).toBe(500);
+  expect(groq.body.error).toBe('Groq provider not configured');
+  expect(backend.requests).toHaveLength(0);
+});
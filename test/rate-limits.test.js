@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { loadApp } = require('./helpers');
+
+// Each configuration needs its own copy of the server
+function loadIsolated(env) {
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = loadApp(env);
+  });
+  return loaded;
+}
+
+const keyed = loadIsolated({
+  API_KEYS: 'alice:member:key-alice,bob:member:key-bob,carol:member:key-carol,erin:member:key-erin,dave:member:key-dave',
+  TOKEN_QUOTAS: 'dave=1',
+  RATE_LIMIT_PER_MINUTE: '5',
+  LLM_RATE_LIMIT_PER_MINUTE: '1'
+});
+const direct = loadIsolated({ RATE_LIMIT_PER_MINUTE: '2' });
+const proxied = loadIsolated({ RATE_LIMIT_PER_MINUTE: '2', TRUST_PROXY: '1' });
+
+afterAll(() => Promise.all([keyed, direct, proxied].map(({ cleanup }) => cleanup())));
+
+const as = (key) => ({ 'X-API-Key': key });
+
+describe('request rate limit', () => {
+  test('allows RATE_LIMIT_PER_MINUTE requests per key, then answers 429', async () => {
+    for (let remaining = 4; remaining >= 0; remaining--) {
+      const res = await request(keyed.app).get('/api/projects').set(as('key-alice'));
+      expect(res.status).toBe(200);
+      expect(res.headers['ratelimit-limit']).toBe('5');
+      expect(res.headers['ratelimit-remaining']).toBe(String(remaining));
+    }
+
+    const limited = await request(keyed.app).get('/api/projects').set(as('key-alice'));
+    expect(limited.status).toBe(429);
+    expect(limited.body.limit).toBe('requests');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('counts each key separately', async () => {
+    const res = await request(keyed.app).get('/api/projects').set(as('key-bob'));
+    expect(res.status).toBe(200);
+  });
+
+  test('does not limit the health check', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await request(keyed.app).get('/health')).status).toBe(200);
+    }
+  });
+});
+
+describe('LLM rate limit', () => {
+  test('applies the stricter limit to routes that call a model', async () => {
+    // An empty prompt is rejected after the limiter has counted the request
+    const first = await request(keyed.app).post('/api/generate').set(as('key-carol')).send({ prompt: '' });
+    expect(first.status).toBe(400);
+
+    const second = await request(keyed.app).post('/api/generate').set(as('key-carol')).send({ prompt: '' });
+    expect(second.status).toBe(429);
+    expect(second.body.limit).toBe('llm-requests');
+
+    expect((await request(keyed.app).get('/api/projects').set(as('key-carol'))).status).toBe(200);
+  });
+
+  test('charges a model comparison once per model', async () => {
+    const comparison = await request(keyed.app)
+      .post('/api/generate/compare')
+      .set(as('key-erin'))
+      .send({ prompt: 'A todo API', models: ['mock:mock-1', 'mock:mock-2'] });
+    expect(comparison.status).toBe(429);
+    expect(comparison.body.limit).toBe('llm-requests');
+    expect(comparison.body.error).toBe('This request counts as 2 of the 1 requests per minute; 1 left');
+
+    // The refused comparison used none of the allowance
+    const single = await request(keyed.app).post('/api/generate').set(as('key-erin')).send({ prompt: '' });
+    expect(single.status).toBe(400);
+  });
+});
+
+describe('usage accounting', () => {
+  test('records model calls in the ledger and enforces token quotas', async () => {
+    const started = await request(keyed.app).post('/api/generate').set(as('key-dave')).send({ prompt: 'A todo API' });
+    expect(started.status).toBe(202);
+    // The event stream ends when the job does
+    await request(keyed.app).get(`/api/jobs/${started.body.jobId}/events`).set(as('key-dave'));
+
+    const usage = await request(keyed.app).get('/api/usage').set(as('key-dave'));
+    expect(usage.status).toBe(200);
+    expect(usage.body.totals.calls).toBeGreaterThan(0);
+    expect(usage.body.byOperation.generate.totalTokens).toBe(usage.body.totals.totalTokens);
+    expect(usage.body.quota.daily).toEqual({ limit: 1, used: usage.body.totals.totalTokens, remaining: 0 });
+
+    const overQuota = await request(keyed.app).post('/api/generate').set(as('key-dave')).send({ prompt: 'A todo API' });
+    expect(overQuota.status).toBe(429);
+    expect(overQuota.body.limit).toBe('daily-tokens');
+  });
+});
+
+describe('client addresses without authentication', () => {
+  const fromClient = (app, address) => request(app).get('/api/projects').set('X-Forwarded-For', address);
+
+  test('ignores X-Forwarded-For unless TRUST_PROXY is set', async () => {
+    expect((await fromClient(direct.app, '203.0.113.1')).status).toBe(200);
+    expect((await fromClient(direct.app, '203.0.113.2')).status).toBe(200);
+    expect((await fromClient(direct.app, '203.0.113.3')).status).toBe(429);
+  });
+
+  test('limits each forwarded client address behind a trusted proxy', async () => {
+    expect((await fromClient(proxied.app, '203.0.113.1')).status).toBe(200);
+    expect((await fromClient(proxied.app, '203.0.113.1')).status).toBe(200);
+    expect((await fromClient(proxied.app, '203.0.113.1')).status).toBe(429);
+    expect((await fromClient(proxied.app, '203.0.113.2')).status).toBe(200);
+  });
+});
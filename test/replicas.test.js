@@ -0,0 +1,218 @@
+const request = require('supertest');
+const { loadApp, importProject, startFakeS3 } = require('./helpers');
+
+// Replicas sharing one S3 bucket, each with its own PROJECTS_DIR
+let s3;
+let a;
+let b;
+
+function loadReplica(env = {}) {
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = loadApp({
+      STORAGE_BACKEND: 's3',
+      S3_ENDPOINT: s3.endpoint,
+      S3_BUCKET: 'projects',
+      S3_ACCESS_KEY_ID: 'test',
+      S3_SECRET_ACCESS_KEY: 'secret',
+      PROJECT_LOCK_TIMEOUT_MS: '300',
+      SHARED_STATE_SYNC_MS: '0',
+      ...env
+    });
+  });
+  return loaded;
+}
+
+beforeAll(async () => {
+  s3 = await startFakeS3();
+  a = loadReplica();
+  b = loadReplica();
+});
+
+afterAll(async () => {
+  await Promise.all([a.cleanup(), b.cleanup()]);
+  await s3.close();
+});
+
+const put = (app, projectId, filePath, content) => request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content });
+const read = async (app, projectId, filePath) => (await request(app).get(`/api/project/${projectId}/file/${filePath}`)).body.content;
+
+test('both replicas serve the same project files', async () => {
+  const projectId = await importProject(a.app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' });
+
+  expect((await put(b.app, projectId, 'src/app.js', 'module.exports = 1;\n')).status).toBe(200);
+  expect(await read(a.app, projectId, 'src/app.js')).toBe('module.exports = 1;\n');
+});
+
+test('a change waits for the lock another replica holds, and takes it once it expires', async () => {
+  const projectId = await importProject(a.app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' });
+  const lease = (expiresAt) => ({ data: Buffer.from(JSON.stringify({ holder: 'other-replica', expiresAt })), etag: '"lease"', modified: new Date() });
+
+  s3.objects.set(`.locks/${projectId}.json`, lease(Date.now() + 60000));
+  const blocked = await put(a.app, projectId, 'src/app.js', 'blocked\n');
+  expect(blocked.status).toBe(503);
+  expect(await read(b.app, projectId, 'src/app.js')).toBe('module.exports = {};\n');
+
+  s3.objects.set(`.locks/${projectId}.json`, lease(Date.now() - 1));
+  expect((await put(a.app, projectId, 'src/app.js', 'taken over\n')).status).toBe(200);
+  expect(s3.objects.has(`.locks/${projectId}.json`)).toBe(false);
+});
+
+test('history written on one replica is read, extended and reverted on the other', async () => {
+  const projectId = await importProject(a.app, { 'package.json': '{}', 'src/app.js': 'v1\n' });
+  await put(a.app, projectId, 'src/app.js', 'v2\n');
+  const history = (app) => request(app).get(`/api/project/${projectId}/history`).then(res => res.body.history.map(entry => entry.revision));
+
+  const fromA = await history(a.app);
+  expect(fromA).toHaveLength(2);
+  expect(await history(b.app)).toEqual(fromA);
+
+  const edit = await put(b.app, projectId, 'src/app.js', 'v3\n');
+  expect(await history(a.app)).toEqual([edit.body.revision, ...fromA]);
+
+  const diff = await request(a.app).get(`/api/project/${projectId}/diff`).query({ to: edit.body.revision });
+  expect(diff.body.diff).toMatch(/^-v2\n\+v3$/m);
+
+  const revert = await request(a.app).post(`/api/project/${projectId}/revert`).send({ revision: fromA[1], path: 'src/app.js' });
+  expect(revert.status).toBe(200);
+  expect(await read(b.app, projectId, 'src/app.js')).toBe('v1\n');
+  expect(await history(b.app)).toEqual([revert.body.revision, edit.body.revision, ...fromA]);
+});
+
+test('both replicas list the same projects and lineage', async () => {
+  const projectId = await importProject(a.app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' }, {}, { name: 'shared-catalog' });
+  const listed = async (app) => (await request(app).get('/api/projects').query({ q: 'shared-catalog' })).body.projects.map(project => project.id);
+
+  expect(await listed(b.app)).toEqual([projectId]);
+
+  const fork = await request(b.app).post(`/api/project/${projectId}/fork`).send({});
+  expect(fork.status).toBe(201);
+  const lineage = await request(a.app).get(`/api/project/${projectId}/lineage`);
+  expect(lineage.body.children.map(child => child.id)).toEqual([fork.body.projectId]);
+
+  expect((await request(a.app).delete(`/api/project/${projectId}`)).status).toBe(200);
+  expect(await listed(b.app)).toEqual([fork.body.projectId]);
+});
+
+test('proposals made on one replica are listed and applied on the other', async () => {
+  const projectId = await importProject(a.app, { 'package.json': '{}', 'src/app.js': 'module.exports = {};\n' });
+  const propose = async () => (await request(a.app).post('/api/chat').send({ message: 'Document the app', mode: 'edit', projectId })).body.proposal;
+  const first = await propose();
+  const second = await propose();
+
+  const listed = await request(b.app).get(`/api/project/${projectId}/proposals`);
+  expect(listed.body.proposals.map(proposal => proposal.id).sort()).toEqual([first.id, second.id].sort());
+
+  expect((await request(b.app).post(`/api/project/${projectId}/proposals/${first.id}/apply`)).status).toBe(200);
+  expect((await request(a.app).post(`/api/project/${projectId}/proposals/${second.id}/apply`)).status).toBe(409);
+  expect((await request(a.app).post(`/api/project/${projectId}/proposals/${first.id}/apply`)).status).toBe(404);
+});
+
+test('a job running on one replica is followed and cancelled through the other', async () => {
+  // Project file writes wait, so the generation is still running when it is cancelled
+  let release;
+  const held = new Promise(resolve => {
+    release = resolve;
+  });
+  s3.hold = (method, key) => method === 'PUT' && /^\/projects\/[0-9a-f-]{36}\//.test(key) ? held : undefined;
+
+  try {
+    const started = await request(a.app).post('/api/generate').send({ prompt: 'A todo API' });
+    expect(started.status).toBe(202);
+    const { jobId } = started.body;
+
+    let job;
+    for (let attempt = 0; attempt < 50 && job?.status !== 'running'; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      job = (await request(b.app).get(`/api/jobs/${jobId}`)).body;
+    }
+    expect(job).toMatchObject({ id: jobId, status: 'running' });
+    expect((await request(b.app).get('/api/jobs')).body.jobs.map(listed => listed.id)).toContain(jobId);
+
+    const events = request(b.app).get(`/api/jobs/${jobId}/events`).set('Last-Event-ID', '1').then(res => res);
+    const cancelled = await request(b.app).post(`/api/jobs/${jobId}/cancel`);
+    expect(cancelled.status).toBe(200);
+    expect(s3.objects.has(`.jobs/${jobId}.cancel`)).toBe(true);
+
+    // Let the generation go on once its replica has seen the request
+    const recorded = () => JSON.parse(s3.objects.get(`.jobs/${jobId}.json`).data).events.map(event => event.type);
+    for (let attempt = 0; attempt < 50 && !recorded().includes('cancelling'); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    release();
+
+    const stream = (await events).text;
+    expect(stream).not.toMatch(/^id: 1$/m);
+    expect(stream).toMatch(/^event: cancelling$/m);
+    expect(stream).toContain('"status":"cancelled"');
+    expect((await request(b.app).get(`/api/jobs/${jobId}`)).body.status).toBe('cancelled');
+    expect(s3.objects.has(`.jobs/${jobId}.cancel`)).toBe(false);
+  } finally {
+    s3.hold = null;
+    release();
+  }
+});
+
+test('a job whose replica stopped is reported as failed', async () => {
+  const jobId = '0b5c7f8e-2f4a-4c51-9d1e-7a0f3c2b1d6e';
+  const stale = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+  s3.objects.set(`.jobs/${jobId}.json`, {
+    data: Buffer.from(JSON.stringify({
+      id: jobId,
+      type: 'generate',
+      status: 'running',
+      phase: 'generating-files',
+      progress: 40,
+      details: { owner: 'anonymous' },
+      events: [],
+      createdAt: stale,
+      heartbeatAt: stale
+    })),
+    etag: '"stale"',
+    modified: new Date()
+  });
+
+  const res = await request(b.app).get(`/api/jobs/${jobId}`);
+  expect(res.body).toMatchObject({ status: 'failed', error: { message: 'The server running this job stopped' } });
+});
+
+describe('with API keys', () => {
+  const keys = { API_KEYS: 'dave:member:key-dave,erin:member:key-erin', TOKEN_QUOTAS: 'dave=1', RATE_LIMIT_PER_MINUTE: '6' };
+  const as = { 'X-API-Key': 'key-dave' };
+  let c;
+  let d;
+
+  beforeAll(() => {
+    c = loadReplica(keys);
+    d = loadReplica(keys);
+  });
+
+  afterAll(() => Promise.all([c.cleanup(), d.cleanup()]));
+
+  test('token usage recorded by one replica counts on the other', async () => {
+    expect((await request(c.app).post('/api/chat').set(as).send({ message: 'Hello' })).status).toBe(200);
+    const onC = await request(c.app).get('/api/usage').set(as);
+    expect(onC.body.totals.calls).toBe(1);
+
+    const onD = await request(d.app).get('/api/usage').set(as);
+    expect(onD.body.totals).toEqual(onC.body.totals);
+    expect(onD.body.quota.daily.remaining).toBe(0);
+
+    const overQuota = await request(d.app).post('/api/chat').set(as).send({ message: 'Hello again' });
+    expect(overQuota.status).toBe(429);
+    expect(overQuota.body.limit).toBe('daily-tokens');
+  });
+
+  test('requests on either replica count against one rate limit', async () => {
+    const erin = { 'X-API-Key': 'key-erin' };
+    const replicas = [c, c, c, d, d, d];
+    for (const [index, replica] of replicas.entries()) {
+      const res = await request(replica.app).get('/api/projects').set(erin);
+      expect(res.status).toBe(200);
+      expect(res.headers['ratelimit-remaining']).toBe(String(replicas.length - index - 1));
+    }
+
+    expect((await request(c.app).get('/api/projects').set(erin)).status).toBe(429);
+    expect((await request(d.app).get('/api/projects').set(erin)).status).toBe(429);
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { loadApp, waitForJob, startFakeLLM } = require('./helpers');
+
+// Every model falls back to `backup`. Each spec uses models of its own, so
+// the circuits they trip don't carry over.
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'backup,flaky,limited,picky,slow,broken,planner',
+    LLM_FALLBACKS: '*=backup',
+    LLM_MAX_RETRIES: '2',
+    LLM_RETRY_BASE_MS: '40',
+    LLM_RETRY_MAX_MS: '500',
+    LLM_TIMEOUT_MS: '100',
+    LLM_BREAKER_THRESHOLD: '3',
+    LLM_BREAKER_COOLDOWN_MS: '300'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+beforeEach(() => {
+  backend.requests.length = 0;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Answers with the scripted responses for a model in turn (the last one
+// repeats); models without a script answer "Hello from <model>"
+function script(responses) {
+  const calls = {};
+  backend.reply = ({ body }) => {
+    const steps = responses[body.model];
+    if (!steps) return { content: `Hello from ${body.model}` };
+    const step = steps[Math.min(calls[body.model] = (calls[body.model] || 0) + 1, steps.length) - 1];
+    return typeof step === 'function' ? step() : step;
+  };
+}
+
+const callsTo = (model) => backend.requests.filter(call => call.body.model === model);
+const chat = (model) => request(app).post('/api/chat').send({ message: 'Hello', model, retrieval: false });
+
+test('retries rate limits and server errors with backoff, honouring retry-after', async () => {
+  const times = [];
+  const at = (answer) => () => {
+    times.push(Date.now());
+    return answer;
+  };
+  script({
+    flaky: [
+      at({ status: 503, body: { error: 'overloaded' } }),
+      at({ status: 429, headers: { 'retry-after': '0.2' }, body: { error: 'slow down' } }),
+      at({ content: 'Finally' })
+    ]
+  });
+
+  const res = await chat('flaky');
+  expect(res.status).toBe(200);
+  expect(res.body).toMatchObject({ response: 'Finally', model: 'flaky', modelUsed: 'openai:flaky' });
+  expect(callsTo('flaky')).toHaveLength(3);
+  expect(callsTo('backup')).toHaveLength(0);
+
+  // Backoff after the 503 is at least half of LLM_RETRY_BASE_MS; the 429
+  // asked for a longer wait, which is used instead
+  expect(times[1] - times[0]).toBeGreaterThanOrEqual(19);
+  expect(times[2] - times[1]).toBeGreaterThanOrEqual(195);
+});
+
+test('falls back at once when retry-after asks for more than LLM_RETRY_MAX_MS', async () => {
+  script({ limited: [{ status: 429, headers: { 'retry-after': '60' }, body: { error: 'quota exceeded' } }] });
+
+  const res = await chat('limited');
+  expect(res.body).toMatchObject({ response: 'Hello from backup', model: 'limited', modelUsed: 'openai:backup' });
+  expect(callsTo('limited')).toHaveLength(1);
+});
+
+test('does not retry requests the model rejected', async () => {
+  script({ picky: [{ status: 400, body: { error: 'context too long' } }] });
+
+  const res = await chat('picky');
+  expect(res.body.modelUsed).toBe('openai:backup');
+  expect(callsTo('picky')).toHaveLength(1);
+});
+
+test('times out a model that does not answer within LLM_TIMEOUT_MS', async () => {
+  backend.reply = async ({ body, disconnected }) => {
+    if (body.model !== 'slow') return { content: `Hello from ${body.model}` };
+    await disconnected;
+    return { content: 'Too late' };
+  };
+
+  const res = await chat('slow');
+  expect(res.body.modelUsed).toBe('openai:backup');
+  expect(callsTo('slow')).toHaveLength(3);
+});
+
+test('opens the circuit of a failing model, skips it, then tries it again after the cooldown', async () => {
+  script({ broken: [{ status: 500, body: { error: 'down' } }, { status: 500, body: { error: 'down' } }, { status: 500, body: { error: 'down' } }, { content: 'Back up' }] });
+
+  expect((await chat('broken')).body.modelUsed).toBe('openai:backup');
+  expect(callsTo('broken')).toHaveLength(3);
+
+  const models = (await request(app).get('/api/models')).body;
+  expect(models.fallbacks).toEqual({ '*': ['openai:backup'] });
+  expect(models.circuits['openai:broken']).toEqual({ state: 'open', failures: 3, retryAt: expect.any(String) });
+
+  // Open: calls go straight to the fallback
+  expect((await chat('broken')).body.modelUsed).toBe('openai:backup');
+  expect(callsTo('broken')).toHaveLength(3);
+
+  // Half-open after the cooldown: one trial call, which closes it again
+  await new Promise(resolve => setTimeout(resolve, 350));
+  expect((await request(app).get('/api/models')).body.circuits['openai:broken'].state).toBe('half-open');
+  expect((await chat('broken')).body).toMatchObject({ response: 'Back up', modelUsed: 'openai:broken' });
+  expect((await request(app).get('/api/models')).body.circuits['openai:broken']).toBeUndefined();
+});
+
+test('records the fallback model that generated a project', async () => {
+  const plan = {
+    projectName: 'shop-api',
+    description: 'Orders',
+    technology: 'Node.js',
+    framework: 'Express',
+    database: 'None',
+    fileTree: { 'index.js': { type: 'file', description: 'Entry point' } },
+    dependencies: {},
+    devDependencies: {},
+    setupInstructions: ['npm start'],
+    apiEndpoints: [],
+    environmentVariables: {}
+  };
+  backend.reply = ({ body }) => {
+    if (body.model === 'planner') return { status: 400, body: { error: 'unsupported' } };
+    return { content: /^File to generate:/m.test(body.messages.at(-1).content) ? 'console.log("shop");\n' : JSON.stringify(plan) };
+  };
+
+  const started = await request(app).post('/api/generate').send({ prompt: 'A shop', model: 'planner' });
+  const job = await waitForJob(app, started.body.jobId);
+  expect(job.status).toBe('completed');
+  expect(job.result.modelsUsed).toEqual(['openai:backup']);
+
+  const project = (await request(app).get(`/api/project/${job.result.projectId}`)).body;
+  expect(project).toMatchObject({ model: 'planner', modelsUsed: ['openai:backup'] });
+  const [entry] = (await request(app).get(`/api/project/${job.result.projectId}/history`)).body.history;
+  expect(entry.details).toMatchObject({ model: 'openai:planner', fallback: 'openai:backup' });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const { loadApp, importProject, startFakeLLM } = require('./helpers');
+
+let backend;
+let app;
+let cleanup;
+
+beforeAll(async () => {
+  backend = await startFakeLLM();
+  ({ app, cleanup } = loadApp({
+    LLM_PROVIDER: 'openai',
+    GROQ_API_KEY: '',
+    OPENAI_COMPAT_BASE_URL: backend.endpoint,
+    OPENAI_COMPAT_MODELS: 'assistant'
+  }));
+});
+
+afterAll(async () => {
+  await cleanup();
+  await backend.close();
+});
+
+const ORDERS_CONTROLLER = [
+  "const Order = require('../models/order');",
+  '',
+  'exports.list = async (req, res) => {',
+  '  const orders = await Order.findAll();',
+  '  if (!orders) return res.status(500).json({ error: "Database unavailable" });',
+  '  res.json(orders);',
+  '};',
+  ''
+].join('\n');
+
+const ask = (fields) => request(app).post('/api/chat').send(fields);
+const systemPrompt = () => backend.requests.at(-1).body.messages[0].content;
+
+async function shopProject(files = {}) {
+  return importProject(app, {
+    'package.json': '{ "name": "shop" }',
+    'package-lock.json': '{ "orders": "controller" }',
+    'src/controllers/orders.js': ORDERS_CONTROLLER,
+    'src/controllers/users.js': 'exports.list = (req, res) => res.json([]);\n',
+    ...files
+  });
+}
+
+test('cites the files that answer the question and adds their excerpts to the prompt', async () => {
+  const projectId = await shopProject();
+
+  const res = await ask({ message: 'Why does the orders controller return 500?', projectId });
+  expect(res.status).toBe(200);
+  expect(res.body.citations[0]).toEqual({ path: 'src/controllers/orders.js', startLine: 1, endLine: 8, score: expect.any(Number) });
+  expect(res.body.citations.map(citation => citation.path)).not.toContain('package-lock.json');
+
+  expect(systemPrompt()).toContain(`Relevant excerpts from the project's files. Refer to files by path when you use them:\n\n--- src/controllers/orders.js (lines 1-8) ---\n${ORDERS_CONTROLLER}`);
+});
+
+test('cites the lines of a long file that match, not the whole file', async () => {
+  const lines = Array.from({ length: 100 }, (_, index) => `const value${index} = ${index};`);
+  lines[74] = 'const refundPolicy = computeRefundWindow(order);';
+  const projectId = await shopProject({ 'src/services/billing.js': lines.join('\n') });
+
+  const res = await ask({ message: 'Where is the refund window computed?', projectId });
+  expect(res.body.citations[0]).toMatchObject({ path: 'src/services/billing.js', startLine: 61, endLine: 100 });
+});
+
+test('indexes the files as they are after an edit', async () => {
+  const projectId = await shopProject();
+  await ask({ message: 'How are invoices sent?', projectId });
+  expect(systemPrompt()).not.toContain('Relevant excerpts');
+
+  await request(app).put(`/api/project/${projectId}/file/src/services/invoices.js`).send({ content: 'exports.sendInvoice = (order) => mailer.send(order.invoice);\n' });
+  const res = await ask({ message: 'How are invoices sent?', projectId });
+  expect(res.body.citations.map(citation => citation.path)).toEqual(['src/services/invoices.js']);
+});
+
+test('leaves the files out when retrieval is off or there is no project', async () => {
+  const projectId = await shopProject();
+
+  const off = await ask({ message: 'Why does the orders controller return 500?', projectId, retrieval: false });
+  expect(off.body.citations).toEqual([]);
+  expect(systemPrompt()).toContain('Context: You are helping with a project called');
+  expect(systemPrompt()).not.toContain('Relevant excerpts');
+
+  const general = await ask({ message: 'Why does the orders controller return 500?' });
+  expect(general.body.citations).toEqual([]);
+  expect(systemPrompt()).not.toContain('Context:');
+});
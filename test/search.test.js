@@ -0,0 +1,81 @@
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+const { app, cleanup } = loadApp({ SEARCH_TIMEOUT_MS: '300' });
+
+// One worker, room for one waiting scan and one file per request
+let bounded;
+jest.isolateModules(() => {
+  bounded = loadApp({ SEARCH_TIMEOUT_MS: '300', SEARCH_WORKERS: '1', SEARCH_QUEUE_LIMIT: '1', SEARCH_MAX_FILES: '1' });
+});
+
+afterAll(() => Promise.all([cleanup(), bounded.cleanup()]));
+
+let projectId;
+
+beforeAll(async () => {
+  projectId = await importProject(app, {
+    'src/app.js': 'const express = require("express");\nconst app = express();\napp.get("/", handler);\n',
+    'data.txt': `${'a'.repeat(30)}!\n`
+  });
+});
+
+test('finds regular expression matches', async () => {
+  const res = await request(app)
+    .get(`/api/project/${projectId}/search`)
+    .query({ q: 'app\\.(get|post)', regex: 'true' });
+
+  expect(res.status).toBe(200);
+  expect(res.body.totalMatches).toBe(1);
+  expect(res.body.results[0]).toMatchObject({ path: 'src/app.js', matches: [{ line: 3, column: 1, match: 'app.get' }] });
+});
+
+test('stops a catastrophically backtracking regular expression', async () => {
+  const started = Date.now();
+  const search = request(app).get('/api/search').query({ q: '(a+)+$', regex: 'true' });
+  const health = request(app).get('/health');
+
+  const [res, healthRes] = await Promise.all([search, health]);
+  expect(healthRes.status).toBe(200);
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch(/Search took longer than 300ms/);
+  expect(Date.now() - started).toBeLessThan(5000);
+});
+
+test('keeps searching after a worker was stopped', async () => {
+  const res = await request(app)
+    .get(`/api/project/${projectId}/search`)
+    .query({ q: 'express', regex: 'true' });
+
+  expect(res.status).toBe(200);
+  expect(res.body.totalMatches).toBe(2);
+});
+
+describe('with one search worker', () => {
+  let boundedProjectId;
+
+  beforeAll(async () => {
+    boundedProjectId = await importProject(bounded.app, {
+      'a.txt': `${'a'.repeat(30)}!\n`,
+      'b.txt': 'express\n'
+    });
+  });
+
+  test('turns regex searches away while the queue is full', async () => {
+    const search = () => request(bounded.app)
+      .get(`/api/project/${boundedProjectId}/search`)
+      .query({ q: '(a+)+$', regex: 'true' });
+
+    const statuses = (await Promise.all([search(), search(), search()])).map(res => res.status).sort();
+    expect(statuses).toEqual([400, 400, 503]);
+  });
+
+  test('stops reading files at SEARCH_MAX_FILES', async () => {
+    const res = await request(bounded.app)
+      .get(`/api/project/${boundedProjectId}/search`)
+      .query({ q: 'express' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalMatches: 0, truncated: true });
+  });
+});
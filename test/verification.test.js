@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { loadApp, waitForJob } = require('./helpers');
+
+const { app, cleanup } = loadApp();
+
+afterAll(cleanup);
+
+async function generatedProject() {
+  const started = await request(app).post('/api/generate').send({ prompt: 'An items API' });
+  return waitForJob(app, started.body.jobId);
+}
+
+const put = (projectId, filePath, content) => request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content });
+const report = async (projectId) => (await request(app).get(`/api/project/${projectId}/verification`)).body.verification;
+
+test('verifies a generated project and returns the report with the result', async () => {
+  const job = await generatedProject();
+  expect(job.result.verification).toMatchObject({
+    summary: { passed: true, errors: 0, warnings: 0 },
+    endpoints: { total: 2, matched: 2, missing: [] }
+  });
+  expect(job.result.verification.files['src/routes/items.js']).toEqual({ status: 'ok', issues: [] });
+
+  expect(await report(job.result.projectId)).toEqual(job.result.verification);
+});
+
+test('reports syntax errors, undeclared packages, placeholders and missing routes per file', async () => {
+  const { result: { projectId } } = await generatedProject();
+
+  const edit = await put(projectId, 'src/routes/items.js', [
+    "const express = require('express');",
+    "const _ = require('lodash');",
+    "const { z } = require('zod/v4');",
+    "const fs = require('node:fs');",
+    '',
+    'const router = express.Router();',
+    '',
+    "router.get('/', (req, res) => {",
+    '  // TODO: read items from the database',
+    '  res.json([]);',
+    '});',
+    '',
+    'module.exports = router;',
+    ''
+  ].join('\n'));
+  expect(edit.status).toBe(200);
+  expect(edit.body.verification).toMatchObject({ passed: false, errors: 3, warnings: 1 });
+
+  await put(projectId, 'src/broken.js', 'function (\n');
+  await put(projectId, 'config/settings.json', '{ "port": 3000, }\n');
+  await put(projectId, 'docker-compose.yml', 'services:\n  app: [unclosed\n');
+
+  const { files, endpoints, summary } = await report(projectId);
+  expect(files['src/routes/items.js']).toEqual({
+    status: 'error',
+    issues: [
+      { severity: 'error', type: 'undeclared-dependency', message: '"lodash" is imported but not declared in package.json', line: 2 },
+      { severity: 'error', type: 'undeclared-dependency', message: '"zod" is imported but not declared in package.json', line: 3 },
+      { severity: 'warning', type: 'placeholder', message: 'Unfinished work marker: // TODO: read items from the database', line: 9 }
+    ]
+  });
+  expect(files['src/broken.js']).toMatchObject({ status: 'error', issues: [{ severity: 'error', type: 'syntax', line: 1 }] });
+  expect(files['config/settings.json']).toMatchObject({ status: 'error', issues: [{ type: 'syntax', line: 1 }] });
+  expect(files['docker-compose.yml'].status).toBe('error');
+  expect(endpoints).toEqual({ total: 2, matched: 1, missing: [{ method: 'POST', path: '/api/items' }] });
+  expect(summary).toMatchObject({ passed: false, filesWithIssues: 4, errors: 6, warnings: 1 });
+});
+
+test('re-runs verification on request, committing only when the report changed', async () => {
+  const { result: { projectId } } = await generatedProject();
+
+  const res = await request(app).post(`/api/project/${projectId}/verify`);
+  expect(res.status).toBe(200);
+  expect(res.body.verification.summary.passed).toBe(true);
+  expect(res.body.revision).toBeNull();
+
+  expect((await request(app).post('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/verify')).status).toBe(404);
+  expect((await request(app).get('/api/project/6f1c1d3e-5b7a-4d2e-9a8b-0c1d2e3f4a5b/verification')).status).toBe(404);
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { loadApp, importProject } = require('./helpers');
+
+// Symlinks only exist on disk, so these specs use the filesystem backend
+const { app, projectsDir, cleanup } = loadApp({ STORAGE_BACKEND: 'fs' });
+const outside = fs.mkdtempSync(path.join(projectsDir, '..', 'outside-'));
+
+afterAll(async () => {
+  await cleanup();
+  fs.rmSync(outside, { recursive: true, force: true });
+});
+
+let projectId;
+
+beforeAll(async () => {
+  projectId = await importProject(app);
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  fs.symlinkSync(outside, path.join(projectsDir, projectId, 'escape'));
+  fs.symlinkSync(path.join(outside, 'planted.txt'), path.join(projectsDir, projectId, 'dangling.txt'));
+});
+
+describe('path traversal', () => {
+  test.each([
+    ['..%2F..%2Fetc%2Fpasswd'],
+    ['src%2F..%2F..%2Fsecret.txt'],
+    ['..%5C..%5Csecret.txt'],
+    ['%2Fetc%2Fpasswd'],
+    ['C:%2Fwindows%2Fwin.ini']
+  ])('rejects %s on read and write', async (filePath) => {
+    const read = await request(app).get(`/api/project/${projectId}/file/${filePath}`);
+    expect(read.status).toBe(400);
+
+    const write = await request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content: 'x' });
+    expect(write.status).toBe(400);
+  });
+
+  test('allows ordinary nested paths', async () => {
+    const write = await request(app).put(`/api/project/${projectId}/file/src/routes/users.js`).send({ content: 'module.exports = {};\n' });
+    expect(write.status).toBe(200);
+
+    const read = await request(app).get(`/api/project/${projectId}/file/src/routes/users.js`);
+    expect(read.status).toBe(200);
+    expect(read.body.content).toBe('module.exports = {};\n');
+  });
+});
+
+describe('symlink escape', () => {
+  test('does not read through a symlinked directory', async () => {
+    const res = await request(app).get(`/api/project/${projectId}/file/escape/secret.txt`);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/escapes the project workspace/);
+  });
+
+  test('does not write through a symlinked directory', async () => {
+    const res = await request(app).put(`/api/project/${projectId}/file/escape/planted.txt`).send({ content: 'x' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/escapes the project workspace/);
+    expect(fs.existsSync(path.join(outside, 'planted.txt'))).toBe(false);
+  });
+
+  test('does not write through a dangling symlink', async () => {
+    const res = await request(app).put(`/api/project/${projectId}/file/dangling.txt`).send({ content: 'x' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/escapes the project workspace/);
+    expect(fs.existsSync(path.join(outside, 'planted.txt'))).toBe(false);
+  });
+});
+
+describe('file content', () => {
+  test.each([[42], [{ code: 'x' }], [['x']], [null]])('rejects non-string content %j', async (content) => {
+    const res = await request(app).put(`/api/project/${projectId}/file/index.js`).send({ content });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('content must be a string');
+  });
+});
+
+describe('server-managed files', () => {
+  test.each(['project-metadata.json', 'README.md'])('rejects direct edits of %s', async (filePath) => {
+    const res = await request(app).put(`/api/project/${projectId}/file/${filePath}`).send({ content: '{}' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/maintained by the server/);
+  });
+});